@@ -0,0 +1,64 @@
+//cli.js
+require("dotenv").config();
+const winston = require("winston");
+const { logger } = require("./src/services/logger");
+
+// stdout is reserved for command output (e.g. --json), so console logging
+// goes to stderr
+logger.transports
+  .filter((transport) => transport instanceof winston.transports.Console)
+  .forEach((transport) => {
+    transport.stderrLevels = Object.fromEntries(
+      Object.keys(logger.levels).map((level) => [level, true])
+    );
+  });
+
+const COMMANDS = {
+  inspect: "./src/cli/inspect",
+  "lint-keywords": "./src/cli/lintKeywords",
+  retag: "./src/cli/retag",
+  unmatched: "./src/cli/unmatched",
+};
+
+function printUsage() {
+  console.log("Usage: node cli.js <command> [options]\n");
+  console.log("Commands:");
+  console.log(
+    "  inspect <file> [--json]  Show embedded metadata and strategy results"
+  );
+  console.log(
+    "  lint-keywords [--json]   Check the keyword files for collisions, shadowing and dead rules"
+  );
+  console.log(
+    "  retag [directory] [--dry-run] [--json]  Recompute keywords of processed outputs"
+  );
+  console.log(
+    "  unmatched [--limit N] [--export yaml|json] [--clear]  List frequent prompt terms with no keyword"
+  );
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!command || command === "--help" || command === "-h") {
+    printUsage();
+    return 0;
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n`);
+    printUsage();
+    return 1;
+  }
+
+  return require(COMMANDS[command]).run(args);
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
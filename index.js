@@ -8,8 +8,12 @@ const { logInfo, logError } = require("./src/services/logger");
 const exifToolService = require("./src/services/exifToolService");
 const WatchMode = require("./src/services/processingModes/WatchMode");
 const BatchMode = require("./src/services/processingModes/BatchMode");
-const { processFile } = require("./src/fileProcessor");
+const { processFile, getKeywordMatcher } = require("./src/fileProcessor");
+const { inspectFile } = require("./src/services/inspectService");
 const configService = require("./src/services/configService");
+const strategyRegistry = require("./src/services/promptExtraction/strategyRegistry");
+const keywordStore = require("./src/services/keywordStore");
+const unmatchedTermStore = require("./src/services/unmatchedTermStore");
 const ConsoleManager = require("./src/services/ConsoleManager");
 
 const app = express();
@@ -54,6 +58,11 @@ async function shutdown(signal) {
     await processingMode.stop();
   }
 
+  keywordStore.stop();
+  await unmatchedTermStore
+    .flush()
+    .catch((e) => logError("Shutdown", e, { context: "unmatchedTermStore" }));
+
   if (server) {
     await new Promise((resolve) => {
       server.close(() => {
@@ -103,7 +112,8 @@ async function switchMode(mode, options = {}) {
   }
 
   const fileProcessor = {
-    processFile: (filePath) => processFile(filePath, effectiveOutputDir),
+    processFile: (filePath) =>
+      processFile(filePath, effectiveOutputDir, { baseOutputDir }),
   };
 
   switch (mode) {
@@ -139,6 +149,9 @@ async function switchMode(mode, options = {}) {
 async function initialize() {
   try {
     await configService.load();
+    await strategyRegistry.loadPlugins();
+    await keywordStore.load();
+    await keywordStore.watch();
 
     // Initial mode switch and target display are important before console manager starts
     // so that the first '?' press has info to show.
@@ -229,6 +242,27 @@ async function initialize() {
       // ConsoleManager's _keypressListener should have already called its displayMenu()
     });
 
+    consoleManager.on("add-keyword-mapping", async ({ term, label }) => {
+      logInfo(
+        "ConsoleEvent",
+        `Received add-keyword-mapping event for "${term}"`
+      );
+      try {
+        const existing = keywordStore.getKeyword(term);
+        const entry = await keywordStore.setKeyword(term, label, {
+          create: !existing,
+        });
+        console.log(
+          `\n🏷️  ${existing ? "Updated" : "Added"} "${
+            entry.term
+          }" → ${entry.labels.join(", ")}`
+        );
+      } catch (error) {
+        logError("ConsoleEvent", error, { context: "add-keyword-mapping" });
+        console.error(`Could not save the keyword: ${error.message}`);
+      }
+    });
+
     consoleManager.on("shutdown-request", async (signalOrigin) => {
       logInfo(
         "ConsoleEvent",
@@ -250,6 +284,8 @@ async function initialize() {
       logInfo("SignalHandler", "SIGUSR2 (nodemon) received.");
       if (consoleManager) consoleManager.stop();
       if (processingMode) await processingMode.stop();
+      keywordStore.stop();
+      await unmatchedTermStore.flush();
       if (server) await new Promise((resolve) => server.close(resolve));
       await exifToolService.cleanup();
       logInfo(
@@ -321,7 +357,7 @@ app.post("/mode", async (req, res) => {
 app.get("/config", (req, res) => {
   try {
     const config = configService.getAll();
-    res.json(config);
+    res.json({ ...config, strategies: strategyRegistry.describe() });
   } catch (error) {
     logError("API /config GET", error.message);
     res.status(500).json({ error: error.message });
@@ -348,5 +384,152 @@ app.put("/config/:path", async (req, res) => {
   }
 });
 
+function isInside(directory, filePath) {
+  const relative = path.relative(directory, filePath);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+// The real path of a file inside INPUT_DIR or OUTPUT_DIR, null for anything
+// else on the host. Checked before the file is looked at, so missing files
+// elsewhere don't get a different answer, and again with symlinks resolved
+async function resolveInspectPath(filePath) {
+  const requestedPath = path.resolve(filePath);
+  const directories = [inputDir, baseOutputDir].map((directory) =>
+    path.resolve(directory)
+  );
+  if (!directories.some((directory) => isInside(directory, requestedPath))) {
+    return null;
+  }
+
+  const realPath = await fs.realpath(requestedPath);
+  const realDirectories = await Promise.all(
+    directories.map((directory) =>
+      fs.realpath(directory).catch(() => directory)
+    )
+  );
+  return realDirectories.some((directory) => isInside(directory, realPath))
+    ? realPath
+    : null;
+}
+
+app.get("/inspect", async (req, res) => {
+  try {
+    const { path: filePath } = req.query;
+    if (!filePath) {
+      return res
+        .status(400)
+        .json({ error: "path query parameter is required" });
+    }
+    const resolvedPath = await resolveInspectPath(filePath);
+    if (!resolvedPath) {
+      return res.status(403).json({
+        error: "Only files in INPUT_DIR or OUTPUT_DIR can be inspected",
+      });
+    }
+    res.json(await inspectFile(resolvedPath));
+  } catch (error) {
+    logError("API /inspect", error.message, { path: req.query.path });
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "File not found" });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get("/keywords/unmatched", async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const minCount = parseInt(req.query.minCount, 10) || 1;
+    const terms = await unmatchedTermStore.getTopTerms({
+      limit,
+      minCount,
+      matcher: getKeywordMatcher(),
+    });
+
+    if (req.query.format) {
+      const exported = unmatchedTermStore.exportSuggestions(
+        terms,
+        req.query.format
+      );
+      return res
+        .type(req.query.format === "json" ? "application/json" : "text/yaml")
+        .send(exported);
+    }
+    res.json({ terms });
+  } catch (error) {
+    logError("API /keywords/unmatched", error.message, { query: req.query });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete("/keywords/unmatched", async (req, res) => {
+  try {
+    await unmatchedTermStore.clear();
+    res.json({ terms: [] });
+  } catch (error) {
+    logError("API /keywords/unmatched DELETE", error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Keyword mappings. Declared after /keywords/unmatched so ":term" doesn't
+// capture it
+function keywordErrorStatus(error) {
+  if (error.code === "NOT_FOUND") return 404;
+  if (error.code === "CONFLICT") return 409;
+  return 400;
+}
+
+app.get("/keywords", (req, res) => {
+  const { search, category } = req.query;
+  res.json({ keywords: keywordStore.listKeywords({ search, category }) });
+});
+
+app.get("/keywords/:term", (req, res) => {
+  const entry = keywordStore.getKeyword(req.params.term);
+  if (!entry) {
+    return res
+      .status(404)
+      .json({ error: `Unknown keyword "${req.params.term}"` });
+  }
+  res.json(entry);
+});
+
+app.post("/keywords", async (req, res) => {
+  try {
+    const { term, label } = req.body;
+    const entry = await keywordStore.setKeyword(term, label, { create: true });
+    res.status(201).json(entry);
+  } catch (error) {
+    logError("API /keywords POST", error.message, { body: req.body });
+    res.status(keywordErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.put("/keywords/:term", async (req, res) => {
+  try {
+    const entry = await keywordStore.setKeyword(
+      req.params.term,
+      req.body.label
+    );
+    res.json(entry);
+  } catch (error) {
+    logError("API /keywords PUT", error.message, {
+      term: req.params.term,
+      body: req.body,
+    });
+    res.status(keywordErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.delete("/keywords/:term", async (req, res) => {
+  try {
+    res.json(await keywordStore.removeKeyword(req.params.term));
+  } catch (error) {
+    logError("API /keywords DELETE", error.message, { term: req.params.term });
+    res.status(keywordErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 // Kick off the application
 initialize();
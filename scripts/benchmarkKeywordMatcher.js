@@ -0,0 +1,263 @@
+// scripts/benchmarkKeywordMatcher.js
+"use strict";
+
+/**
+ * Compares the trie-based KeywordMatcher with the linear scan it replaced
+ * on a synthetic keyword map and synthetic prompts.
+ *
+ *   node scripts/benchmarkKeywordMatcher.js [--terms 5000] [--prompts 200]
+ *     [--phrases 60] [--rounds 3] [--seed 1]
+ */
+
+const { performance } = require("perf_hooks");
+const KeywordMatcher = require("../src/services/keywordMatcher");
+const defaults = require("../src/config/defaults");
+
+// Same options for both, so only the matching loop differs
+const MATCHER_OPTIONS = { inflections: defaults.keywords.inflections };
+
+const SYLLABLES = [
+  "ka",
+  "lo",
+  "mi",
+  "ne",
+  "ru",
+  "sa",
+  "to",
+  "vi",
+  "ze",
+  "da",
+  "fe",
+  "go",
+  "hi",
+  "ju",
+  "ma",
+  "po",
+  "qu",
+  "ri",
+  "su",
+  "te",
+];
+const CATEGORIES = ["Scene", "Subject", "Style", "Lighting", "Weather"];
+
+// The matching loop before the tries, as it was: every sorted keyword,
+// twice
+class LinearKeywordMatcher extends KeywordMatcher {
+  buildKeywordTries() {}
+
+  findMatchAtStart(text) {
+    const normalizedText = text.toLowerCase();
+
+    for (const keyword of this.sortedKeywords) {
+      if (normalizedText.startsWith(keyword)) {
+        const remainingText = normalizedText.slice(keyword.length).trim();
+        return {
+          keyword,
+          match: this.normalizedKeywordsMap[keyword],
+          remainingText,
+        };
+      }
+    }
+
+    const textWithoutSpaces = normalizedText.replace(/\s+/g, "");
+    for (const keyword of this.sortedKeywords) {
+      const keywordWithoutSpaces = keyword.replace(/\s+/g, "");
+      if (textWithoutSpaces.startsWith(keywordWithoutSpaces)) {
+        const remainingText = normalizedText
+          .slice(this.compactMatchEnd(normalizedText, keyword))
+          .trim();
+        return {
+          keyword,
+          match: this.normalizedKeywordsMap[keyword],
+          remainingText,
+        };
+      }
+    }
+
+    if (this.options.inflections) {
+      return this.findInflectedMatchAtStart(normalizedText);
+    }
+
+    return null;
+  }
+
+  // The old cut after a match that ignored spaces, off whenever the
+  // spacing differs from the term's
+  compactMatchEnd(text, keyword) {
+    return text.indexOf(keyword) + keyword.length;
+  }
+}
+
+// The linear scan with the cut the trie matcher makes. Not timed, only used
+// to tell that change from real differences
+class CorrectedLinearKeywordMatcher extends LinearKeywordMatcher {
+  compactMatchEnd(text, keyword) {
+    const keywordWithoutSpaces = keyword.replace(/\s+/g, "");
+    let matched = 0;
+    for (let index = 0; index < text.length; index++) {
+      if (/\s/.test(text[index])) continue;
+      matched++;
+      if (matched === keywordWithoutSpaces.length) return index + 1;
+    }
+    return text.length;
+  }
+}
+
+function getOption(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : parseInt(args[index + 1], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Small seeded generator so runs are comparable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createGenerator(random) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const word = () =>
+    Array.from({ length: 2 + Math.floor(random() * 3) }, () =>
+      pick(SYLLABLES)
+    ).join("");
+  return { pick, word };
+}
+
+function buildKeywordsMap(termCount, { pick, word }, random) {
+  const keywordsMap = {};
+  while (Object.keys(keywordsMap).length < termCount) {
+    const wordCount = 1 + Math.floor(random() * 3);
+    const term = Array.from({ length: wordCount }, word).join(" ");
+    keywordsMap[term] = `${pick(CATEGORIES)}: ${term}`;
+  }
+  return keywordsMap;
+}
+
+function buildPrompts(keywordsMap, options, { pick, word }, random) {
+  const terms = Object.keys(keywordsMap);
+  const prompts = [];
+  for (let count = 0; count < options.prompts; count++) {
+    const phrases = [];
+    for (let index = 0; index < options.phrases; index++) {
+      const roll = random();
+      if (roll < 0.4) {
+        phrases.push(pick(terms));
+      } else if (roll < 0.5) {
+        // Written without its spaces
+        phrases.push(pick(terms).replace(/\s+/g, ""));
+      } else if (roll < 0.6) {
+        phrases.push(`(${pick(terms)}:1.2)`);
+      } else if (roll < 0.7) {
+        phrases.push(`${word()} ${pick(terms)} ${word()}`);
+      } else {
+        phrases.push(`${word()} ${word()}`);
+      }
+    }
+    prompts.push(phrases.join(", "));
+  }
+  return prompts;
+}
+
+function measure(label, Matcher, keywordsMap, prompts, rounds) {
+  const buildStart = performance.now();
+  const matcher = new Matcher(keywordsMap, MATCHER_OPTIONS);
+  const buildMs = performance.now() - buildStart;
+
+  let results = [];
+  const matchStart = performance.now();
+  for (let round = 0; round < rounds; round++) {
+    results = prompts.map((prompt) => matcher.findKeywords(prompt));
+  }
+  const matchMs = (performance.now() - matchStart) / rounds;
+
+  return { label, buildMs, matchMs, results };
+}
+
+function sameKeywords(before, after) {
+  return [...before].sort().join("\n") === [...after].sort().join("\n");
+}
+
+// Prompts where the linear scan disagrees with the trie matcher, split by
+// whether the corrected spacing cut alone accounts for it
+function compareResults(linear, fixed, trie) {
+  const counts = { total: 0, spacingCut: 0, other: 0 };
+  trie.results.forEach((keywords, index) => {
+    if (sameKeywords(linear.results[index], keywords)) return;
+    counts.total++;
+    if (sameKeywords(fixed.results[index], keywords)) {
+      counts.spacingCut++;
+    } else {
+      counts.other++;
+    }
+  });
+  return counts;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const options = {
+    terms: getOption(args, "terms", 5000),
+    prompts: getOption(args, "prompts", 200),
+    phrases: getOption(args, "phrases", 60),
+    rounds: getOption(args, "rounds", 3),
+    seed: getOption(args, "seed", 1),
+  };
+
+  const random = createRandom(options.seed);
+  const generator = createGenerator(random);
+  const keywordsMap = buildKeywordsMap(options.terms, generator, random);
+  const prompts = buildPrompts(keywordsMap, options, generator, random);
+
+  console.log(
+    `${options.terms} terms, ${options.prompts} prompts of ${options.phrases} phrases, ${options.rounds} rounds`
+  );
+
+  const linear = measure(
+    "linear",
+    LinearKeywordMatcher,
+    keywordsMap,
+    prompts,
+    options.rounds
+  );
+  const trie = measure(
+    "trie",
+    KeywordMatcher,
+    keywordsMap,
+    prompts,
+    options.rounds
+  );
+
+  for (const { label, buildMs, matchMs } of [linear, trie]) {
+    console.log(
+      `${label.padEnd(8)} build ${buildMs
+        .toFixed(1)
+        .padStart(8)} ms   match ${matchMs.toFixed(1).padStart(9)} ms   ${(
+        matchMs / options.prompts
+      ).toFixed(3)} ms/prompt`
+    );
+  }
+  console.log(`speedup  ${(linear.matchMs / trie.matchMs).toFixed(1)}x`);
+
+  const fixed = measure(
+    "fixed",
+    CorrectedLinearKeywordMatcher,
+    keywordsMap,
+    prompts,
+    1
+  );
+  const differences = compareResults(linear, fixed, trie);
+  console.log(`prompts with different keywords: ${differences.total}`);
+  console.log(
+    `  from the old cut after terms matched without their spaces: ${differences.spacingCut}`
+  );
+  console.log(`  other: ${differences.other}`);
+}
+
+main();
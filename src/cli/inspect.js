@@ -0,0 +1,136 @@
+// src/cli/inspect.js
+"use strict";
+
+const chalk = require("chalk");
+const configService = require("../services/configService");
+const exifToolService = require("../services/exifToolService");
+const strategyRegistry = require("../services/promptExtraction/strategyRegistry");
+const keywordStore = require("../services/keywordStore");
+const { inspectFile } = require("../services/inspectService");
+
+const PREVIEW_LENGTH = 300;
+
+const STATUS_COLORS = {
+  matched: chalk.green,
+  "no-match": chalk.gray,
+  error: chalk.red,
+};
+
+function preview(text) {
+  const singleLine = String(text).replace(/\s+/g, " ").trim();
+  return singleLine.length > PREVIEW_LENGTH
+    ? `${singleLine.slice(0, PREVIEW_LENGTH)}… (${singleLine.length} chars)`
+    : singleLine;
+}
+
+function heading(title) {
+  console.log(`\n${chalk.bold.cyan(title)}`);
+}
+
+function printReport(report) {
+  console.log(chalk.bold(report.file));
+  console.log(
+    `${report.format} ${report.width}x${report.height}, ${report.size} bytes`
+  );
+
+  heading("Text chunks");
+  if (report.chunks.length === 0) console.log(chalk.gray("  (none)"));
+  for (const chunk of report.chunks) {
+    console.log(`  ${chalk.yellow(chunk.keyword)}: ${preview(chunk.text)}`);
+  }
+
+  if (report.derivedComments.length > 0) {
+    heading("Derived from EXIF/XMP");
+    for (const comment of report.derivedComments) {
+      console.log(
+        `  ${chalk.yellow(comment.keyword)}: ${preview(comment.text)}`
+      );
+    }
+  }
+
+  heading("Tags");
+  const tagNames = Object.keys(report.tags);
+  if (tagNames.length === 0) console.log(chalk.gray("  (none)"));
+  for (const name of tagNames) {
+    const value = report.tags[name];
+    const text = typeof value === "object" ? JSON.stringify(value) : value;
+    console.log(`  ${chalk.yellow(name)}: ${preview(text)}`);
+  }
+
+  heading("Strategies");
+  for (const strategy of report.strategies) {
+    const color = STATUS_COLORS[strategy.status] || chalk.white;
+    const flags = [
+      strategy.identifier === report.selectedStrategy && "selected",
+      !strategy.enabled && "disabled",
+    ].filter(Boolean);
+    console.log(
+      `  ${chalk.bold(strategy.identifier)} ${color(strategy.status)}` +
+        (flags.length ? chalk.magenta(` [${flags.join(", ")}]`) : "")
+    );
+    if (strategy.reason) console.log(chalk.gray(`    ${strategy.reason}`));
+    for (const prompt of strategy.prompts || []) {
+      console.log(`    + ${preview(prompt.originalText)}`);
+    }
+    if (strategy.negativePrompt) {
+      console.log(`    - ${preview(strategy.negativePrompt)}`);
+    }
+    if (strategy.settings?.settingsLine) {
+      console.log(chalk.gray(`    ${preview(strategy.settings.settingsLine)}`));
+    }
+  }
+
+  heading("Description");
+  console.log(
+    report.description
+      ? `  ${preview(report.description)}`
+      : chalk.gray("  (none)")
+  );
+
+  heading("Keywords");
+  console.log(
+    report.keywords.length > 0
+      ? `  ${report.keywords.join(", ")}`
+      : chalk.gray("  (none)")
+  );
+
+  heading("Output Folder");
+  console.log(
+    report.route
+      ? `  ${report.route.folder} (routing rule ${report.route.rule})`
+      : chalk.gray("  (current target, no routing rule matched)")
+  );
+}
+
+async function run(args) {
+  const json = args.includes("--json");
+  const [filePath] = args.filter((arg) => !arg.startsWith("--"));
+
+  if (!filePath) {
+    console.error("Usage: node cli.js inspect <file> [--json]");
+    return 1;
+  }
+
+  try {
+    await configService.load();
+    await strategyRegistry.loadPlugins();
+    await keywordStore.load();
+
+    const report = await inspectFile(filePath);
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    return 0;
+  } catch (error) {
+    console.error(chalk.red(`Inspect failed: ${error.message}`));
+    return 1;
+  } finally {
+    await exifToolService.cleanup();
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,51 @@
+// src/cli/lintKeywords.js
+"use strict";
+
+const chalk = require("chalk");
+const configService = require("../services/configService");
+const keywordStore = require("../services/keywordStore");
+const { lintKeywords } = require("../services/keywordLinter");
+
+function printIssues(issues, color, title) {
+  if (issues.length === 0) return;
+
+  console.log(color.bold(`${title} (${issues.length})`));
+  for (const issue of issues) {
+    const files = issue.files.length > 0 ? ` [${issue.files.join(", ")}]` : "";
+    console.log(`  ${color(issue.check)} ${issue.message}${chalk.gray(files)}`);
+  }
+  console.log();
+}
+
+async function run(args) {
+  await configService.load();
+  if (!(await keywordStore.load())) {
+    // The store has already logged the validation problems
+    return 1;
+  }
+
+  const { errors, warnings } = lintKeywords(
+    keywordStore.getKeywordsMap(),
+    keywordStore.getRules(),
+    keywordStore.getOrigins()
+  );
+
+  if (args.includes("--json")) {
+    console.log(JSON.stringify({ errors, warnings }, null, 2));
+  } else {
+    printIssues(errors, chalk.red, "Errors");
+    printIssues(warnings, chalk.yellow, "Warnings");
+    const summary = `${
+      Object.keys(keywordStore.getKeywordsMap()).length
+    } terms, ${keywordStore.getRules().length} rules: ${
+      errors.length
+    } errors, ${warnings.length} warnings`;
+    console.log(errors.length > 0 ? chalk.red(summary) : chalk.green(summary));
+  }
+
+  return errors.length > 0 ? 1 : 0;
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,83 @@
+// src/cli/retag.js
+"use strict";
+
+const path = require("path");
+const chalk = require("chalk");
+const configService = require("../services/configService");
+const exifToolService = require("../services/exifToolService");
+const strategyRegistry = require("../services/promptExtraction/strategyRegistry");
+const keywordStore = require("../services/keywordStore");
+const { retagDirectory } = require("../services/retagService");
+
+const USAGE =
+  "Usage: node cli.js retag [directory] [--dry-run] [--json] (directory defaults to OUTPUT_DIR)";
+
+function printResult(result, directory) {
+  const file = path.relative(directory, result.file);
+  if (result.status === "changed") {
+    console.log(chalk.bold(file));
+    result.added.forEach((keyword) =>
+      console.log(chalk.green(`  + ${keyword}`))
+    );
+    result.removed.forEach((keyword) =>
+      console.log(chalk.red(`  - ${keyword}`))
+    );
+  } else if (result.status === "skipped") {
+    console.log(chalk.gray(`${file}: skipped, ${result.reason}`));
+  } else if (result.status === "error") {
+    console.log(chalk.red(`${file}: ${result.reason}`));
+  }
+}
+
+function countByStatus(results) {
+  const counts = { changed: 0, unchanged: 0, skipped: 0, error: 0 };
+  results.forEach((result) => {
+    counts[result.status]++;
+  });
+  return counts;
+}
+
+async function run(args) {
+  const json = args.includes("--json");
+  const dryRun = args.includes("--dry-run");
+  const [directoryArg] = args.filter((arg) => !arg.startsWith("--"));
+  const directory = directoryArg || process.env.OUTPUT_DIR;
+
+  if (!directory) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  try {
+    await configService.load();
+    await strategyRegistry.loadPlugins();
+    await keywordStore.load();
+
+    const results = await retagDirectory(path.resolve(directory), {
+      dryRun,
+      onResult: json
+        ? undefined
+        : (result) => printResult(result, path.resolve(directory)),
+    });
+    const counts = countByStatus(results);
+
+    if (json) {
+      console.log(JSON.stringify({ dryRun, counts, results }, null, 2));
+    } else {
+      console.log(
+        `\n${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.error} failed` +
+          (dryRun ? chalk.yellow(" (dry run, nothing written)") : "")
+      );
+    }
+    return counts.error > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(chalk.red(`Retag failed: ${error.message}`));
+    return 1;
+  } finally {
+    await exifToolService.cleanup();
+  }
+}
+
+module.exports = {
+  run,
+};
@@ -0,0 +1,65 @@
+// src/cli/unmatched.js
+"use strict";
+
+const chalk = require("chalk");
+const Table = require("cli-table3");
+const configService = require("../services/configService");
+const keywordStore = require("../services/keywordStore");
+const unmatchedTermStore = require("../services/unmatchedTermStore");
+const { getKeywordMatcher } = require("../fileProcessor");
+
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+function printTerms(terms) {
+  if (terms.length === 0) {
+    console.log(chalk.gray("No unmatched terms recorded yet."));
+    return;
+  }
+
+  const table = new Table({
+    head: ["Count", "Term", "Examples"].map((title) => chalk.cyan(title)),
+  });
+  for (const { term, count, examples } of terms) {
+    table.push([count, term, examples.slice(0, 3).join("\n")]);
+  }
+  console.log(table.toString());
+}
+
+async function run(args) {
+  const limit = parseInt(getOption(args, "limit"), 10) || 50;
+  const minCount = parseInt(getOption(args, "min-count"), 10) || 1;
+  const exportFormat = getOption(args, "export");
+
+  await configService.load();
+  await keywordStore.load();
+
+  if (args.includes("--clear")) {
+    await unmatchedTermStore.clear();
+    console.log("Cleared the unmatched term table.");
+    return 0;
+  }
+
+  const terms = await unmatchedTermStore.getTopTerms({
+    limit,
+    minCount,
+    matcher: getKeywordMatcher(),
+  });
+
+  if (exportFormat) {
+    process.stdout.write(
+      unmatchedTermStore.exportSuggestions(terms, exportFormat)
+    );
+  } else if (args.includes("--json")) {
+    console.log(JSON.stringify(terms, null, 2));
+  } else {
+    printTerms(terms);
+  }
+  return 0;
+}
+
+module.exports = {
+  run,
+};
@@ -2,8 +2,138 @@
 const defaultConfig = {
   processing: {
     addWatermark: true,
+    // Generation settings (by infotext key) to add as "Key: value" keywords,
+    // e.g. ["Model"]; none by default so the keywords stay the same
+    settingsKeywords: [],
+    output: {
+      // "source" keeps the input format, or one of "png", "jpeg", "webp",
+      // "avif"
+      format: "source",
+      // JPEG, WebP and AVIF quality, 1-100
+      quality: 90,
+      // WebP and AVIF
+      lossless: false,
+      // JPEG and AVIF: "4:2:0" or "4:4:4"
+      chromaSubsampling: "4:2:0",
+      // PNG zlib level, 0-9
+      compressionLevel: 6,
+      // Extra outputs with their own format and settings, e.g.
+      // { format: "jpeg", quality: 80, folder: "web" }
+      copies: [],
+    },
     // Add other processing options here as we expand
   },
+  // What happens to the source image's text chunks (parameters, prompt,
+  // workflow, ...) in the output: "copy", "remove" or "sidecar" (written
+  // next to the output). Keys are chunk keywords; "default" covers the rest
+  sourceChunks: {
+    default: "copy",
+  },
+  keywordHierarchy: {
+    // Splits labels into levels: "Landscape: Water: Lake"
+    separator: ":",
+    // Fields keywords are written to: "Keywords" (as matched),
+    // "XMP-dc:Subject" (leaf labels), "XMP-lr:HierarchicalSubject"
+    // ("Landscape|Water|Lake") and "XMP-digiKam:TagsList"
+    // ("Landscape/Water/Lake")
+    fields: [
+      "Keywords",
+      "XMP-dc:Subject",
+      "XMP-lr:HierarchicalSubject",
+      "XMP-digiKam:TagsList",
+    ],
+  },
+  description: {
+    // Which prompt becomes the description when several are found:
+    // "first", "longest", "finalSampler", "node" or "all"
+    source: "first",
+    // Node id, entry key or node title used when source is "node"
+    node: "",
+    // Placed between prompts when source is "all"
+    separator: "\n\n",
+  },
+  extraction: {
+    // Directory (relative to the working directory) scanned for custom
+    // BasePromptStrategy subclasses
+    pluginsDir: "plugins/strategies",
+    // Strategy identifiers to try first; unlisted strategies follow in
+    // their default order
+    strategyOrder: [],
+    disabledStrategies: [],
+  },
+  keywords: {
+    // Keyword rule files (JSON, YAML, or the legacy src/keywords.js) and
+    // directories of them, merged in order and reloaded when they change
+    sources: ["src/keywords.js", "keywords"],
+    // Where keywords added or changed through the API and console menu are
+    // saved; loaded after the sources so its entries take precedence
+    editableFile: "keywords/custom.yaml",
+    // Add "LoRA: name" / "Embedding: name" keywords for extra networks
+    // referenced in the prompt
+    tagExtraNetworks: true,
+    // Match plurals and -ing/-ed forms ("sunsets", "skies") of terms; off
+    // by default so existing keyword maps match as before
+    inflections: false,
+    // Match negative prompts too, as "<excludedPrefix>: <label>" keywords
+    matchNegativePrompt: false,
+    excludedPrefix: "Excluded",
+    // Words that negate the rest of a phrase ("no clouds", "without trees")
+    negationCues: ["no", "without", "not", "lacking"],
+    // "suppress" drops negated matches, "invert" records them as
+    // "<excludedPrefix>: <label>"
+    negationMode: "suppress",
+    // A match scores its prompt weight, so "(forest:0.3)" scores 0.3;
+    // labels scoring below minScore are dropped
+    minScore: 0.5,
+    // Score reduction per comma-separated phrase into the prompt:
+    // score = weight / (1 + positionDecay * phrase)
+    positionDecay: 0,
+    // Per-category minimum scores, e.g. { "Weather": 0.8 }
+    categoryThresholds: {},
+  },
+  metadata: {
+    // "embed" writes tags into the output image, "sidecar" into an .xmp
+    // file next to it and leaves the image byte-identical to the source
+    // (so without the watermark or its keyword), "both" does both
+    mode: "embed",
+    // exiftool tag -> template, e.g. "XMP-dc:Title": "{{model}} #{{seed}}";
+    // a list of templates writes a list tag. Keywords are written to the
+    // tags in keywordHierarchy.fields
+    fields: {
+      Description: "{{description}}",
+      ImageDescription: "{{description}}",
+    },
+  },
+  // IPTC AI-disclosure and rights fields. The text fields are templates,
+  // e.g. "© {{year}} {{creator}}"; see README for the available values
+  rights: {
+    enabled: true,
+    // "trainedAlgorithmicMedia", "compositeWithTrainedAlgorithmicMedia", or
+    // "auto" to pick composite for img2img/inpainting
+    digitalSourceType: "auto",
+    creator: "",
+    copyrightNotice: "",
+    creditLine: "",
+    usageTerms: "",
+    webStatement: "",
+  },
+  routing: {
+    // Ordered rules sending images to subfolders of OUTPUT_DIR; the first
+    // match wins, otherwise the manually selected target is used. e.g.
+    // { folder: "beach", keywords: ["Landscape: Beach"] },
+    // { folder: "sdxl", settings: { model: "sd_xl*" } },
+    // { folder: "_untagged", untagged: true }
+    rules: [],
+  },
+  discovery: {
+    // Record prompt terms that matched no keyword, for `npm run unmatched`
+    enabled: true,
+    file: "data/unmatched-terms.json",
+    // Longer phrases are too specific to become keywords
+    maxWords: 4,
+    // Example filenames kept per term
+    maxExamples: 5,
+  },
   // New section for runtime settings
   runtime: {
     currentTargetSubfolder: null, // null or "" can represent the default (no subfolder)
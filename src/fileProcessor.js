@@ -4,15 +4,46 @@
 const fs = require("fs").promises;
 const path = require("path");
 const sharp = require("sharp");
-const { keywordsMap } = require("./keywords");
 const KeywordMatcher = require("./services/keywordMatcher");
+const keywordStore = require("./services/keywordStore");
+const unmatchedTermStore = require("./services/unmatchedTermStore");
 const exifToolService = require("./services/exifToolService");
 const { addWatermark } = require("./services/watermarkService");
 const tempFileService = require("./services/tempFileService");
 const configService = require("./services/configService");
+const {
+  buildSettingsTags,
+  buildPromptTags,
+  buildSettingsKeywords,
+} = require("./services/generationMetadata");
+const { selectDescription } = require("./services/promptSelection");
+const {
+  AUTO_KEYWORDS_TAG,
+  buildKeywordTags,
+} = require("./services/keywordTags");
+const { applySourceChunks } = require("./services/sourceChunkService");
+const { resolveRoute } = require("./services/outputRouting");
+const {
+  buildTemplateValues,
+  buildFieldTags,
+} = require("./services/metadataTemplates");
+const { buildRightsTags } = require("./services/rightsMetadata");
+const {
+  getMetadataMode,
+  getSidecarPath,
+  writeSidecar,
+} = require("./services/xmpSidecarService");
+const {
+  isSupportedImage,
+  getInputFormat,
+  resolveOutputs,
+  getFormatTags,
+} = require("./services/imageFormats");
 const PromptExtractionService = require("./services/promptExtraction/promptExtractionService");
-const ParametersStrategy = require("./services/promptExtraction/strategies/parametersStrategy");
-const JsonPromptStrategy = require("./services/promptExtraction/strategies/jsonPromptStrategy");
+const {
+  readImageMetadata,
+} = require("./services/promptExtraction/metadataReader");
+const strategyRegistry = require("./services/promptExtraction/strategyRegistry");
 
 const { formatKeywordsTable } = require("./services/colorLogger");
 const {
@@ -23,7 +54,14 @@ const {
   logDebug,
 } = require("./services/logger");
 
-const keywordMatcher = new KeywordMatcher(keywordsMap);
+// Added to watermarked outputs
+const WATERMARK_KEYWORD = "Watermark: AI";
+
+// Keyword categories whose labels mean little on their own, written in
+// full to leaf-only keyword fields, along with processing.settingsKeywords
+const QUALIFIED_CATEGORIES = ["Watermark", "LoRA", "Hypernetwork", "Embedding"];
+
+let keywordMatcher = null;
 const logger = {
   logSuccess,
   logError,
@@ -32,15 +70,161 @@ const logger = {
   logDebug,
 };
 
-const promptExtractor = new PromptExtractionService(
-  [ParametersStrategy, JsonPromptStrategy],
-  logger
-);
+// Rebuilt on the next file after the keyword rules are reloaded
+keywordStore.on("change", () => {
+  keywordMatcher = null;
+});
+
+// Created on first use, once the configuration has been loaded
+function getKeywordMatcher() {
+  if (!keywordMatcher) {
+    keywordMatcher = new KeywordMatcher(keywordStore.getKeywordsMap(), {
+      rules: keywordStore.getRules(),
+      inflections: configService.get("keywords.inflections"),
+      tagExtraNetworks: configService.get("keywords.tagExtraNetworks"),
+      negationCues: configService.get("keywords.negationCues"),
+      negationMode: configService.get("keywords.negationMode"),
+      excludedPrefix: configService.get("keywords.excludedPrefix"),
+      minScore: configService.get("keywords.minScore"),
+      positionDecay: configService.get("keywords.positionDecay"),
+      categoryThresholds: configService.get("keywords.categoryThresholds"),
+    });
+  }
+  return keywordMatcher;
+}
+
+// Built per file so strategy order/enabled changes in config apply immediately
+function createPromptExtractor() {
+  return new PromptExtractionService(
+    strategyRegistry.getActiveStrategies(),
+    logger
+  );
+}
+
+/**
+ * Keywords for an extraction result, by where they came from: matches from
+ * every positive prompt, excluded matches from the negative prompt when
+ * enabled, and keywords derived from the generation settings.
+ *
+ * @param {Object} extractionResult Result of PromptExtractionService
+ * @returns {{prompt: string[], excluded: string[], settings: string[]}}
+ */
+function matchKeywordGroups(extractionResult) {
+  const { prompts, negativePrompt, settings } = extractionResult;
+  const matcher = getKeywordMatcher();
+
+  const promptKeywords = prompts.flatMap((prompt) =>
+    matcher.findKeywords(prompt.originalText)
+  );
+
+  // Negative prompts are skipped unless configured to land in their own
+  // keyword namespace
+  const excludedKeywords =
+    negativePrompt && configService.get("keywords.matchNegativePrompt")
+      ? matcher.findExcludedKeywords(
+          negativePrompt,
+          configService.get("keywords.excludedPrefix")
+        )
+      : [];
 
-async function processFile(filePath, destOutputDir) {
+  return {
+    prompt: [...new Set(promptKeywords)],
+    excluded: excludedKeywords,
+    settings: buildSettingsKeywords(
+      settings,
+      configService.get("processing.settingsKeywords")
+    ),
+  };
+}
+
+/**
+ * All keywords for an extraction result, see matchKeywordGroups.
+ *
+ * @param {Object} extractionResult Result of PromptExtractionService
+ * @returns {string[]} Unique keywords
+ */
+function matchKeywords(extractionResult) {
+  return mergeKeywordGroups(matchKeywordGroups(extractionResult));
+}
+
+function mergeKeywordGroups({ prompt, excluded, settings }) {
+  return [...new Set([...prompt, ...excluded, ...settings])];
+}
+
+/**
+ * Options for buildKeywordTags from the config.
+ */
+function getKeywordTagOptions() {
+  return {
+    ...configService.get("keywordHierarchy"),
+    excludedPrefix: configService.get("keywords.excludedPrefix"),
+    qualifiedCategories: [
+      ...QUALIFIED_CATEGORIES,
+      ...(configService.get("processing.settingsKeywords") || []),
+    ],
+  };
+}
+
+/**
+ * Output directory for a processed image: the folder of the first matching
+ * `routing.rules` entry under the base output directory, otherwise the
+ * manually selected target.
+ */
+function resolveOutputDir(destOutputDir, baseOutputDir, context) {
+  const route = resolveRoute(configService.get("routing.rules"), context);
+  if (!route) return destOutputDir;
+
+  logDebug("ProcessFile", `Routing rule ${route.rule} matched`, {
+    folder: route.folder,
+  });
+  return path.join(baseOutputDir || destOutputDir, route.folder);
+}
+
+/**
+ * Encodes one output from the prepared image with its encoder settings and
+ * applies the source chunk policy to it.
+ *
+ * @param {string} imageSource Source image, or the watermarked intermediate
+ * @param {string} outputPath
+ * @param {Object} output Entry from resolveOutputs
+ * @param {Object} metadata Source metadata with the `comments` to carry over
+ * @returns {Promise<{path: string, format: string, chunkTags: Object}>}
+ */
+async function encodeOutput(imageSource, outputPath, output, metadata) {
+  await sharp(imageSource)
+    .withMetadata({
+      iccp: "sRGB",
+    })
+    .toFormat(output.format, output.options)
+    .toFile(outputPath);
+
+  return {
+    path: outputPath,
+    format: output.format,
+    // Applied to the encoded file, whatever chunks sharp carried over
+    chunkTags: await applySourceChunks(
+      outputPath,
+      output.format,
+      metadata.comments
+    ),
+  };
+}
+
+/**
+ * @param {string} filePath Image to process
+ * @param {string} destOutputDir Manually selected target directory, used
+ *        when no routing rule matches
+ * @param {Object} [options]
+ * @param {string} [options.baseOutputDir] Directory routing rule folders
+ *        are relative to; defaults to destOutputDir
+ */
+async function processFile(filePath, destOutputDir, options = {}) {
   const operation = "ProcessFile";
   let filename;
+  let outputDir = destOutputDir;
   const tempFiles = [];
+  // Outputs this call started writing, removed again if it fails
+  const writtenPaths = [];
 
   try {
     await tempFileService.ensureTempDir();
@@ -50,20 +234,22 @@ async function processFile(filePath, destOutputDir) {
       `Starting processing: ${filename} for output to ${destOutputDir}`
     ); // Added destOutputDir for clarity
 
-    if (!filename.toLowerCase().endsWith(".png")) {
-      logWarning(operation, `Skipping non-PNG file: ${filename}`);
+    if (!isSupportedImage(filename)) {
+      logWarning(operation, `Skipping unsupported file: ${filename}`);
       return false;
     }
 
-    const metadata = await sharp(filePath).metadata();
+    const metadata = await readImageMetadata(filePath);
     let matchedKeywords = [];
 
-    if (!metadata.comments) {
+    if (metadata.comments.length === 0) {
       logWarning(operation, `No comments found in metadata`, { filename });
       return false;
     }
 
-    const extractionResult = await promptExtractor.extractPrompts(metadata);
+    const extractionResult = await createPromptExtractor().extractPrompts(
+      metadata
+    );
 
     if (!extractionResult) {
       logWarning(
@@ -74,25 +260,55 @@ async function processFile(filePath, destOutputDir) {
       return false;
     }
 
-    const { prompts } = extractionResult;
+    const { prompts, negativePrompts, negativePrompt, settings } =
+      extractionResult;
+    const description = selectDescription(
+      prompts,
+      configService.get("description")
+    );
     logDebug(operation, "Extracted prompts", {
       filename,
       strategy: extractionResult.strategy,
       promptCount: prompts.length,
-      firstPrompt: prompts[0].originalText.substring(0, 100) + "...",
+      hasNegativePrompt: Boolean(negativePrompt),
+      hasSettings: Boolean(settings),
+      description: description.substring(0, 100) + "...",
     });
 
-    // Process keywords for all prompts
-    for (const prompt of prompts) {
-      const keywords = keywordMatcher.findKeywords(prompt.originalText);
-      matchedKeywords.push(...keywords);
+    const keywordGroups = matchKeywordGroups(extractionResult);
+    matchedKeywords = mergeKeywordGroups(keywordGroups);
+    // Routed before the watermark keyword is added
+    outputDir = resolveOutputDir(destOutputDir, options.baseOutputDir, {
+      keywords: matchedKeywords,
+      promptKeywords: keywordGroups.prompt,
+      settings,
+    });
+
+    if (configService.get("discovery.enabled")) {
+      await unmatchedTermStore.record(
+        prompts.flatMap((prompt) =>
+          getKeywordMatcher().findUnmatchedTerms(prompt.originalText)
+        ),
+        filename
+      );
     }
 
-    // Remove duplicates
-    matchedKeywords = [...new Set(matchedKeywords)];
+    const metadataMode = getMetadataMode(configService.get("metadata.mode"));
+    // Sidecar-only output keeps the image byte-identical to the source: no
+    // conversion, watermark or chunk changes
+    const keepSourceImage = metadataMode === "sidecar";
+    const watermarkEnabled = configService.get("processing.addWatermark");
+    const addWatermarkToOutput = watermarkEnabled && !keepSourceImage;
 
-    if (configService.get("processing.addWatermark")) {
-      matchedKeywords.push("Watermark: AI");
+    if (watermarkEnabled && keepSourceImage) {
+      logInfo(
+        operation,
+        `Sidecar mode copies the image unchanged, so no watermark and no "${WATERMARK_KEYWORD}" keyword`,
+        { filename }
+      );
+    }
+    if (addWatermarkToOutput) {
+      matchedKeywords.push(WATERMARK_KEYWORD);
     }
 
     if (matchedKeywords.length > 1) {
@@ -103,73 +319,164 @@ async function processFile(filePath, destOutputDir) {
       );
     }
 
-    const outputPath = path.join(destOutputDir, filename);
+    // Built before any output is written, so template and keyword field
+    // mistakes fail early instead of leaving an output without metadata
+    const templateValues = buildTemplateValues({
+      filename,
+      description,
+      prompts,
+      negativePrompt,
+      settings,
+      keywords: matchedKeywords,
+      strategy: extractionResult.strategy,
+      separator: configService.get("keywordHierarchy")?.separator,
+    });
+    const fieldTags = buildFieldTags(
+      configService.get("metadata.fields"),
+      templateValues
+    );
+    const rightsTags = buildRightsTags(
+      configService.get("rights"),
+      templateValues,
+      settings
+    );
+
+    const tags = {
+      ...buildKeywordTags(matchedKeywords, getKeywordTagOptions()),
+      [AUTO_KEYWORDS_TAG]: matchedKeywords,
+      ...(negativePrompt && {
+        "XMP-metaimager:NegativePrompt": negativePrompt,
+      }),
+      ...buildSettingsTags(settings),
+      ...buildPromptTags([...prompts, ...negativePrompts]),
+      ...rightsTags,
+      // Mapped fields win over the built-in tags
+      ...fieldTags,
+    };
+
+    const [mainOutput, ...copyOutputs] = resolveOutputs(
+      filename,
+      configService.get("processing.output")
+    );
+    const outputPath = path.join(
+      outputDir,
+      keepSourceImage ? filename : mainOutput.filename
+    );
 
     // --- New/Modified Section: Ensure output directory exists ---
     // This ensures the specific target directory (which might be a subfolder) exists.
     try {
-      await fs.mkdir(destOutputDir, { recursive: true });
-      logDebug(operation, `Ensured output directory exists: ${destOutputDir}`, {
+      await fs.mkdir(outputDir, { recursive: true });
+      logDebug(operation, `Ensured output directory exists: ${outputDir}`, {
         filename,
       });
     } catch (dirError) {
       logError(
         operation,
-        `Failed to create output directory: ${destOutputDir}. Error: ${dirError.message}`,
+        `Failed to create output directory: ${outputDir}. Error: ${dirError.message}`,
         { filename }
       );
       // Depending on desired behavior, you might want to throw this error
       // or return false to indicate processing failure due to directory issue.
       throw new Error(
-        `Cannot create output directory ${destOutputDir}: ${dirError.message}`
+        `Cannot create output directory ${outputDir}: ${dirError.message}`
       );
     }
     // --- End New/Modified Section ---
 
-    const tempBasePath = tempFileService.getTempFilePath(
-      "process_",
-      path.extname(filename)
-    );
-    const tempWatermarkPath = tempFileService.getTempFilePath(
-      "watermark_",
-      path.extname(filename)
-    );
-    tempFiles.push(tempBasePath, tempWatermarkPath);
-
-    await sharp(filePath)
-      .withMetadata({
-        iccp: "sRGB",
-      })
-      .toFile(tempBasePath);
+    // The watermark is drawn once, on a lossless intermediate that every
+    // output is then encoded from
+    let imageSource = filePath;
+    if (addWatermarkToOutput) {
+      const tempBasePath = tempFileService.getTempFilePath("process_", ".png");
+      const tempWatermarkPath = tempFileService.getTempFilePath(
+        "watermark_",
+        ".png"
+      );
+      tempFiles.push(tempBasePath, tempWatermarkPath);
 
-    if (configService.get("processing.addWatermark")) {
+      await sharp(filePath)
+        .withMetadata({
+          iccp: "sRGB",
+        })
+        .png()
+        .toFile(tempBasePath);
       await addWatermark(tempBasePath, tempWatermarkPath);
-      await fs.copyFile(tempWatermarkPath, outputPath);
-    } else {
-      await fs.copyFile(tempBasePath, outputPath);
+      imageSource = tempWatermarkPath;
     }
 
-    await exifToolService.writeMetadata(outputPath, {
-      Description: prompts[0].originalText,
-      ImageDescription: prompts[0].originalText,
-      Keywords: matchedKeywords,
-    });
+    const outputs = [];
+    writtenPaths.push(outputPath);
+    if (keepSourceImage) {
+      await fs.copyFile(filePath, outputPath);
+      outputs.push({
+        path: outputPath,
+        format: getInputFormat(filename),
+        chunkTags: {},
+      });
+    } else {
+      outputs.push(
+        await encodeOutput(imageSource, outputPath, mainOutput, metadata)
+      );
+    }
+    for (const copy of copyOutputs) {
+      const copyDir = path.join(outputDir, copy.folder);
+      const copyPath = path.join(copyDir, copy.filename);
+      if (copyPath === outputPath) {
+        logWarning(operation, `Skipping copy that would replace the output`, {
+          filename,
+          output: outputPath,
+        });
+        continue;
+      }
+      await fs.mkdir(copyDir, { recursive: true });
+      writtenPaths.push(copyPath);
+      outputs.push(await encodeOutput(imageSource, copyPath, copy, metadata));
+    }
 
-    await tempFileService.cleanupOriginal(outputPath);
+    const sidecarPaths = new Set();
+    for (const output of outputs) {
+      const outputTags = getFormatTags(
+        { ...tags, ...output.chunkTags },
+        output.format
+      );
+      if (metadataMode !== "sidecar") {
+        await exifToolService.writeMetadata(output.path, outputTags);
+        await tempFileService.cleanupOriginal(output.path);
+      }
+      // Outputs that differ only by extension share one sidecar
+      if (
+        metadataMode !== "embed" &&
+        !sidecarPaths.has(getSidecarPath(output.path))
+      ) {
+        sidecarPaths.add(
+          await writeSidecar(output.path, outputTags, {
+            keywordTagOptions: getKeywordTagOptions(),
+          })
+        );
+      }
+    }
 
     logSuccess(operation, `Successfully processed: ${filename}`, {
-      description: prompts[0].originalText.substring(0, 100) + "...",
+      description: description.substring(0, 100) + "...",
       keywordCount: matchedKeywords.length,
       strategy: extractionResult.strategy,
       output: outputPath, // Added output path to success log
+      ...(outputs.length > 1 && {
+        copies: outputs.slice(1).map((output) => output.path),
+      }),
     });
 
     return true;
   } catch (error) {
     logError(operation, error, {
       filename,
-      outputPath: path.join(destOutputDir, filename || "unknown_file"),
+      outputPath: path.join(outputDir, filename || "unknown_file"),
     });
+    // A half-written output would look processed to a rerun
+    for (const writtenPath of writtenPaths) {
+      await fs.unlink(writtenPath).catch(() => {});
+    }
     return false;
   } finally {
     for (const tempFile of tempFiles) {
@@ -180,4 +487,11 @@ async function processFile(filePath, destOutputDir) {
 
 module.exports = {
   processFile,
+  matchKeywords,
+  matchKeywordGroups,
+  mergeKeywordGroups,
+  getKeywordMatcher,
+  getKeywordTagOptions,
+  createPromptExtractor,
+  WATERMARK_KEYWORD,
 };
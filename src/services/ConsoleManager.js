@@ -202,6 +202,13 @@ class ConsoleManager extends EventEmitter {
           this.emit("set-target-subfolder", null);
         },
       },
+      {
+        id: "add_keyword",
+        displayName: `${chalk.yellowBright("A")}dd Keyword Mapping`,
+        action: async () => {
+          await this.promptForKeywordMappingInternal();
+        },
+      },
       {
         id: "show_status",
         displayName: `${chalk.yellowBright("V")}iew Current Status`,
@@ -296,6 +303,54 @@ class ConsoleManager extends EventEmitter {
     }
   }
 
+  async promptForKeywordMappingInternal() {
+    // Same flow as the subfolder prompt: InteractiveMenu pauses and resumes
+    // the keypress listener around this action
+    const required = (value) => value.trim() !== "" || "This can't be empty.";
+
+    try {
+      console.log();
+      const answers = await inquirer.prompt([
+        {
+          type: "input",
+          name: "term",
+          message: chalk.yellow("Prompt term (e.g. pine forest):"),
+          validate: required,
+        },
+        {
+          type: "input",
+          name: "label",
+          message: chalk.yellow(
+            "Keyword label (e.g. Landscape: Forest; separate several with |):"
+          ),
+          validate: required,
+        },
+      ]);
+      const labels = answers.label
+        .split("|")
+        .map((label) => label.trim())
+        .filter(Boolean);
+      this.emit("add-keyword-mapping", {
+        term: answers.term.trim(),
+        label: labels.length === 1 ? labels[0] : labels,
+      });
+    } catch (error) {
+      if (error.isTtyError) {
+        logError("ConsoleManager", "Keyword prompt failed: TTY error.", error);
+        console.error(chalk.red("\nPrompt failed due to TTY issue."));
+      } else {
+        logError(
+          "ConsoleManager",
+          "Prompt for keyword mapping was cancelled or failed.",
+          error
+        );
+        console.error(
+          chalk.red("\nPrompt for keyword mapping was cancelled or failed.")
+        );
+      }
+    }
+  }
+
   stop() {
     if (this._keypressListener && process.stdin.isTTY) {
       process.stdin.removeListener("keypress", this._keypressListener);
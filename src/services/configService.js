@@ -2,7 +2,63 @@
 const fs = require("fs").promises;
 const path = require("path");
 const defaultConfig = require("../config/defaults");
-const { logInfo, logError } = require("./logger");
+const { validateRoutingRules } = require("./outputRouting");
+const { validateOutputSettings } = require("./imageFormats");
+const { buildKeywordTags } = require("./keywordTags");
+const { getMetadataMode } = require("./xmpSidecarService");
+const { checkDescriptionSource } = require("./promptSelection");
+const { resolveDigitalSourceType } = require("./rightsMetadata");
+const { logInfo, logWarning, logError } = require("./logger");
+
+// Turns a check that throws, as the services do when they hit the setting,
+// into a validator
+function problemsFrom(check) {
+  return (value) => {
+    try {
+      check(value);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  };
+}
+
+// Settings checked once when the config is loaded or saved rather than for
+// every processed file; each validator returns a list of problems
+const VALIDATORS = [
+  ["routing.rules", validateRoutingRules],
+  ["processing.output", validateOutputSettings],
+  [
+    "keywordHierarchy.fields",
+    problemsFrom((fields) => buildKeywordTags([], { fields })),
+  ],
+  ["metadata.mode", problemsFrom(getMetadataMode)],
+  [
+    "sourceChunks",
+    problemsFrom((policy = {}) => {
+      // Required here: sourceChunkService reads the config itself
+      const { resolveChunkAction } = require("./sourceChunkService");
+      Object.keys(policy).forEach((keyword) =>
+        resolveChunkAction(policy, keyword)
+      );
+    }),
+  ],
+  ["description.source", problemsFrom(checkDescriptionSource)],
+  [
+    "rights.digitalSourceType",
+    problemsFrom((type) => resolveDigitalSourceType(type, null)),
+  ],
+];
+
+function getPath(object, path) {
+  return path
+    .split(".")
+    .reduce(
+      (result, part) =>
+        result && typeof result === "object" ? result[part] : undefined,
+      object
+    );
+}
 
 class ConfigService {
   constructor() {
@@ -26,7 +82,9 @@ class ConfigService {
         // Load existing config and merge with defaults to ensure all fields exist
         const fileContent = await fs.readFile(this.configPath, "utf8");
         const savedConfig = JSON.parse(fileContent);
-        this.config = this.mergeWithDefaults(savedConfig);
+        this.config = this.resetInvalidSettings(
+          this.mergeWithDefaults(savedConfig)
+        );
         logInfo("ConfigService", "Loaded existing configuration");
       }
     } catch (error) {
@@ -60,9 +118,42 @@ class ConfigService {
     return merged;
   }
 
+  /**
+   * Problems with the settings in VALIDATORS; empty when they are valid.
+   */
+  validate(config) {
+    return VALIDATORS.flatMap(([path, validate]) =>
+      validate(getPath(config, path))
+    );
+  }
+
+  // A hand-edited config.json with a broken section still loads, with that
+  // section back at its default, instead of failing every file later on
+  resetInvalidSettings(config) {
+    for (const [path, validate] of VALIDATORS) {
+      const problems = validate(getPath(config, path));
+      if (problems.length === 0) continue;
+
+      logWarning(
+        "ConfigService",
+        `Ignoring invalid ${path}, using the default: ${problems.join("; ")}`
+      );
+      const parts = path.split(".");
+      const last = parts.pop();
+      const parent =
+        parts.length > 0 ? getPath(config, parts.join(".")) : config;
+      parent[last] = structuredClone(getPath(defaultConfig, path));
+    }
+    return config;
+  }
+
   async save(newConfig = this.config) {
     try {
       const configToSave = this.mergeWithDefaults(newConfig);
+      const problems = this.validate(configToSave);
+      if (problems.length > 0) {
+        throw new Error(`Invalid configuration: ${problems.join("; ")}`);
+      }
       await fs.writeFile(
         this.configPath,
         JSON.stringify(configToSave, null, 2),
@@ -101,7 +192,9 @@ class ConfigService {
     }
 
     const parts = path.split(".");
-    let current = this.config;
+    // Changed on a copy, so a rejected value leaves the config as it was
+    const updated = structuredClone(this.config);
+    let current = updated;
 
     // Navigate to the nested location
     for (let i = 0; i < parts.length - 1; i++) {
@@ -116,7 +209,7 @@ class ConfigService {
     current[parts[parts.length - 1]] = value;
 
     // Save the updated configuration
-    await this.save();
+    await this.save(updated);
 
     return this.config;
   }
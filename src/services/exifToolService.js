@@ -1,11 +1,16 @@
-const { exiftool } = require("exiftool-vendored");
+const { ExifTool, DefaultExiftoolArgs } = require("exiftool-vendored");
 const path = require("path");
 const { logError, logDebug } = require("./logger");
 const tempFileService = require("./tempFileService");
 
+// Defines the XMP-metaimager namespace used for generation settings
+const EXIFTOOL_CONFIG_PATH = path.join(__dirname, "../config/exiftool.config");
+
 class ExifToolService {
   constructor() {
-    this.instance = exiftool;
+    this.instance = new ExifTool({
+      exiftoolArgs: ["-config", EXIFTOOL_CONFIG_PATH, ...DefaultExiftoolArgs],
+    });
     this.isShuttingDown = false;
 
     // Handle process exit
@@ -38,6 +43,23 @@ class ExifToolService {
     }
   }
 
+  /**
+   * Reads raw tag values (no date/type parsing), grouped by family 1 names
+   * such as "IFD0:Make" or "XMP-dc:Description".
+   */
+  async readTags(filePath, tagArgs = []) {
+    if (this.isShuttingDown) {
+      throw new Error("ExifTool service is shutting down");
+    }
+
+    try {
+      return await this.instance.readRaw(filePath, ["-G1", ...tagArgs]);
+    } catch (error) {
+      logError("ExifTool", error, { filePath, context: "readTags" });
+      throw error;
+    }
+  }
+
   async cleanup() {
     if (this.isShuttingDown) return;
 
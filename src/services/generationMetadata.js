@@ -0,0 +1,91 @@
+// src/services/generationMetadata.js
+"use strict";
+
+const NAMESPACE = "XMP-metaimager";
+
+// settings property -> XMP-metaimager tag name
+const SETTINGS_TAGS = {
+  settingsLine: "GenerationParameters",
+  steps: "Steps",
+  sampler: "Sampler",
+  scheduleType: "ScheduleType",
+  cfgScale: "CFGScale",
+  seed: "Seed",
+  size: "ImageSize",
+  modelHash: "ModelHash",
+  model: "Model",
+  vae: "VAE",
+  denoisingStrength: "DenoisingStrength",
+  hiresUpscale: "HiresUpscale",
+  hiresSteps: "HiresSteps",
+  hiresUpscaler: "HiresUpscaler",
+};
+
+/**
+ * Maps parsed generation settings onto the XMP-metaimager tags defined in
+ * src/config/exiftool.config.
+ *
+ * @param {Object|null} settings Settings from the extraction result
+ * @returns {Object} Tags ready for exifToolService.writeMetadata
+ */
+function buildSettingsTags(settings) {
+  if (!settings) return {};
+
+  const tags = {};
+  for (const [property, tagName] of Object.entries(SETTINGS_TAGS)) {
+    const value = settings[property];
+    if (value !== undefined && value !== null && value !== "") {
+      tags[`${NAMESPACE}:${tagName}`] = value;
+    }
+  }
+
+  if (settings.loraHashes && Object.keys(settings.loraHashes).length > 0) {
+    tags[`${NAMESPACE}:LoraHashes`] = Object.entries(settings.loraHashes).map(
+      ([name, hash]) => `${name}: ${hash}`
+    );
+  }
+
+  return tags;
+}
+
+/**
+ * Every extracted prompt as an XMP-metaimager:Prompts struct entry, keeping
+ * the entryKey and the sampler/nodes it came from.
+ *
+ * @param {Array<Object>} prompts Positive and negative prompts
+ * @returns {Object} Tags ready for exifToolService.writeMetadata
+ */
+function buildPromptTags(prompts = []) {
+  if (prompts.length === 0) return {};
+
+  return {
+    [`${NAMESPACE}:Prompts`]: prompts.map((prompt) => ({
+      EntryKey: String(prompt.entryKey),
+      Text: prompt.originalText,
+      Type: prompt.type || "positive",
+      ...(prompt.samplerId && { Sampler: String(prompt.samplerId) }),
+      ...(prompt.nodeIds?.length && { NodeIds: prompt.nodeIds.join(",") }),
+    })),
+  };
+}
+
+/**
+ * Turns selected settings into "Key: value" keywords, e.g. "Model: sdxl_base".
+ *
+ * @param {Object|null} settings Settings from the extraction result
+ * @param {string[]} fields Infotext keys to tag with ("Model", "Sampler", ...)
+ * @returns {string[]}
+ */
+function buildSettingsKeywords(settings, fields = []) {
+  if (!settings?.raw || !Array.isArray(fields)) return [];
+
+  return fields
+    .filter((field) => settings.raw[field])
+    .map((field) => `${field}: ${settings.raw[field]}`);
+}
+
+module.exports = {
+  buildSettingsTags,
+  buildPromptTags,
+  buildSettingsKeywords,
+};
@@ -0,0 +1,255 @@
+// src/services/imageFormats.js
+"use strict";
+
+const path = require("path");
+
+// Input extension -> sharp output format
+const SUPPORTED_FORMATS = {
+  ".png": "png",
+  ".jpg": "jpeg",
+  ".jpeg": "jpeg",
+  ".webp": "webp",
+};
+
+// sharp output format -> extension used for processed files. AVIF is an
+// output format only; inputs are limited to SUPPORTED_FORMATS
+const FORMAT_EXTENSIONS = {
+  png: ".png",
+  jpeg: ".jpg",
+  webp: ".webp",
+  avif: ".avif",
+};
+
+// Containers without an IPTC block; exiftool skips IPTC tags for them
+const FORMATS_WITHOUT_IPTC = ["webp", "avif"];
+
+// Encoder settings used where `processing.output` leaves them out
+const ENCODER_DEFAULTS = {
+  quality: 90,
+  lossless: false,
+  chromaSubsampling: "4:2:0",
+  compressionLevel: 6,
+};
+const CHROMA_SUBSAMPLING = ["4:2:0", "4:4:4"];
+
+function isSupportedImage(filename) {
+  return path.extname(filename).toLowerCase() in SUPPORTED_FORMATS;
+}
+
+// Processed files, which can also be in an output-only format such as AVIF
+function isOutputImage(filename) {
+  return (
+    isSupportedImage(filename) ||
+    Object.values(FORMAT_EXTENSIONS).includes(
+      path.extname(filename).toLowerCase()
+    )
+  );
+}
+
+function getInputFormat(filename) {
+  return SUPPORTED_FORMATS[path.extname(filename).toLowerCase()] || null;
+}
+
+/**
+ * Resolves the output format for a file from the configured
+ * `processing.output.format` ("source" keeps the input format).
+ */
+function resolveOutputFormat(filename, configuredFormat = "source") {
+  const format = String(configuredFormat || "source").toLowerCase();
+  if (format === "source") {
+    return getInputFormat(filename);
+  }
+  if (format === "jpg") {
+    return "jpeg";
+  }
+  if (!(format in FORMAT_EXTENSIONS)) {
+    throw new Error(`Unsupported output format: ${configuredFormat}`);
+  }
+  return format;
+}
+
+/**
+ * Output filename for a given format. Keeps the original extension when
+ * the format is unchanged, so "photo.jpeg" doesn't become "photo.jpg".
+ */
+function getOutputFilename(filename, format) {
+  const ext = path.extname(filename);
+  if (getInputFormat(filename) === format) {
+    return filename;
+  }
+  return `${path.basename(filename, ext)}${FORMAT_EXTENSIONS[format]}`;
+}
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isSubfolder(folder) {
+  const normalized = path.normalize(folder);
+  return (
+    !path.isAbsolute(folder) &&
+    normalized !== ".." &&
+    !normalized.startsWith(`..${path.sep}`)
+  );
+}
+
+function validateEncoderSettings(settings, where) {
+  const problems = [];
+  const format = String(settings.format ?? "source").toLowerCase();
+  if (format !== "source" && format !== "jpg" && !FORMAT_EXTENSIONS[format]) {
+    problems.push(`${where}: unsupported format "${settings.format}"`);
+  }
+  if ("quality" in settings && !isInteger(settings.quality, 1, 100)) {
+    problems.push(`${where}: "quality" must be a whole number from 1 to 100`);
+  }
+  if ("lossless" in settings && typeof settings.lossless !== "boolean") {
+    problems.push(`${where}: "lossless" must be true or false`);
+  }
+  if (
+    "chromaSubsampling" in settings &&
+    !CHROMA_SUBSAMPLING.includes(settings.chromaSubsampling)
+  ) {
+    problems.push(
+      `${where}: "chromaSubsampling" must be one of ${CHROMA_SUBSAMPLING.join(
+        ", "
+      )}`
+    );
+  }
+  if (
+    "compressionLevel" in settings &&
+    !isInteger(settings.compressionLevel, 0, 9)
+  ) {
+    problems.push(`${where}: "compressionLevel" must be from 0 to 9`);
+  }
+  return problems;
+}
+
+/**
+ * Checks the `processing.output` block. Returns a list of problems, empty
+ * when the settings are valid.
+ *
+ * @param {Object} output
+ * @returns {string[]}
+ */
+function validateOutputSettings(output) {
+  if (!output || typeof output !== "object" || Array.isArray(output)) {
+    return ["processing.output must be an object"];
+  }
+
+  const problems = validateEncoderSettings(output, "processing.output");
+  const copies = output.copies ?? [];
+  if (!Array.isArray(copies)) {
+    return [...problems, "processing.output.copies must be a list"];
+  }
+
+  copies.forEach((copy, index) => {
+    const where = `output copy ${index + 1}`;
+    if (!copy || typeof copy !== "object" || Array.isArray(copy)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+    if (!copy.format) {
+      problems.push(`${where}: "format" is required`);
+    }
+    problems.push(...validateEncoderSettings(copy, where));
+    if (
+      "folder" in copy &&
+      (typeof copy.folder !== "string" || !isSubfolder(copy.folder.trim()))
+    ) {
+      problems.push(
+        `${where}: "folder" must be a subfolder of the output directory`
+      );
+    }
+  });
+  return problems;
+}
+
+/**
+ * sharp encoder options for an output format; settings that don't apply
+ * to the format are left out.
+ */
+function getEncoderOptions(format, settings) {
+  const { quality, lossless, chromaSubsampling, compressionLevel } = {
+    ...ENCODER_DEFAULTS,
+    ...settings,
+  };
+  switch (format) {
+    case "png":
+      return { compressionLevel };
+    case "jpeg":
+      return { quality, chromaSubsampling };
+    case "webp":
+      return { quality, lossless };
+    case "avif":
+      return { quality, lossless, chromaSubsampling };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Every output to write for an input file: the main output described by
+ * `processing.output`, then its `copies`. Copies use the main output's
+ * encoder settings unless they set their own, and can go to a subfolder.
+ *
+ * @param {string} filename Input filename
+ * @param {Object} [output] `processing.output` from the config, checked
+ *        with validateOutputSettings when it was loaded
+ * @returns {Array<{format: string, filename: string, folder: string,
+ *          options: Object}>} The main output first
+ */
+function resolveOutputs(filename, output = {}) {
+  const { copies = [], ...main } = output;
+
+  const toOutput = (settings, folder = "") => {
+    const format = resolveOutputFormat(filename, settings.format);
+    return {
+      format,
+      filename: getOutputFilename(filename, format),
+      folder: folder.trim(),
+      options: getEncoderOptions(format, settings),
+    };
+  };
+  const outputs = [
+    toOutput(main),
+    ...copies.map((copy) => toOutput({ ...main, ...copy }, copy.folder)),
+  ];
+
+  const seen = new Set();
+  for (const { folder, filename: outputFilename } of outputs) {
+    const outputPath = path.join(folder, outputFilename);
+    if (seen.has(outputPath)) {
+      throw new Error(
+        `Invalid output settings: two outputs would be written to ${outputPath}, give a copy another format or folder`
+      );
+    }
+    seen.add(outputPath);
+  }
+  return outputs;
+}
+
+/**
+ * Drops the tags an output format can't hold, which exiftool would skip
+ * without an error.
+ */
+function getFormatTags(tags, format) {
+  if (!FORMATS_WITHOUT_IPTC.includes(format)) return tags;
+
+  return Object.fromEntries(
+    Object.entries(tags).filter(
+      ([tagName]) => tagName !== "Keywords" && !tagName.startsWith("IPTC:")
+    )
+  );
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  isSupportedImage,
+  isOutputImage,
+  getInputFormat,
+  resolveOutputFormat,
+  getOutputFilename,
+  validateOutputSettings,
+  resolveOutputs,
+  getFormatTags,
+};
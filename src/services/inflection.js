@@ -0,0 +1,124 @@
+// src/services/inflection.js
+"use strict";
+
+// Plurals that suffix stripping can't undo
+const IRREGULAR_FORMS = {
+  children: "child",
+  feet: "foot",
+  geese: "goose",
+  knives: "knife",
+  leaves: "leaf",
+  men: "man",
+  mice: "mouse",
+  people: "person",
+  teeth: "tooth",
+  wolves: "wolf",
+  women: "woman",
+};
+
+// Words ending in "s" that aren't plurals
+const SINGULAR_S_ENDINGS = /(ss|us|is|ous)$/;
+
+// Words that look inflected but aren't, kept as they are
+const UNINFLECTED_WORDS = new Set([
+  "chaos",
+  "glasses",
+  "jeans",
+  "lens",
+  "news",
+  "pants",
+  "series",
+  "shorts",
+  "species",
+]);
+
+const isVowel = (word, index) =>
+  /[aeiou]/.test(word[index]) ||
+  // "y" after a consonant is a vowel, as in "sky"
+  (word[index] === "y" && index > 0 && !isVowel(word, index - 1));
+
+const hasVowel = (word) =>
+  [...word].some((letter, index) => isVowel(word, index));
+
+// Porter's measure: the number of vowel-consonant sequences in the word
+function measure(word) {
+  let count = 0;
+  for (let index = 1; index < word.length; index++) {
+    if (!isVowel(word, index) && isVowel(word, index - 1)) count++;
+  }
+  return count;
+}
+
+// Ends consonant-vowel-consonant, the last not w, x or y: "hop", "hik"
+function endsShortSyllable(word) {
+  const end = word.length - 1;
+  return (
+    end >= 2 &&
+    !isVowel(word, end) &&
+    isVowel(word, end - 1) &&
+    !isVowel(word, end - 2) &&
+    !/[wxy]/.test(word[end])
+  );
+}
+
+// Porter step 1b: -ed/-ing, restoring the "e" the suffix replaced
+function stripVerbEnding(word) {
+  if (word.endsWith("eed")) {
+    // "agreed" -> "agree", but "speed" and "feed" stay
+    return measure(word.slice(0, -3)) > 0 ? word.slice(0, -1) : word;
+  }
+
+  const ending = word.match(/(ing|ed)$/);
+  if (!ending) return word;
+  const stem = word.slice(0, -ending[0].length);
+  // "ring", "red", "shed" and "king" have no stem left to inflect
+  if (stem.length < 3 || !hasVowel(stem)) return word;
+
+  if (/(at|bl|iz)$/.test(stem)) return `${stem}e`;
+  // "running" -> "runn" -> "run"
+  if (/([^aeiouylsz])\1$/.test(stem)) return stem.slice(0, -1);
+  // "hiking" -> "hik" -> "hike", "scared" -> "scare"
+  if (measure(stem) === 1 && endsShortSyllable(stem)) return `${stem}e`;
+  return stem;
+}
+
+/**
+ * Reduces a word to its base form so that plurals and -ing/-ed forms match
+ * it, following step 1 of the Porter stemmer: "sunsets" -> "sunset",
+ * "skies" -> "sky", "beaches" -> "beach", "raining" -> "rain",
+ * "running" -> "run", "hiking" -> "hike". A base word is left as it is,
+ * so "pine" and "pin" or "plane" and "plan" stay apart.
+ *
+ * @param {string} word Lowercase word
+ * @returns {string}
+ */
+function stemWord(word) {
+  if (IRREGULAR_FORMS[word]) return IRREGULAR_FORMS[word];
+  if (word.length <= 3 || UNINFLECTED_WORDS.has(word)) return word;
+
+  let stem = word;
+  if (stem.endsWith("ies") && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(ch|sh|x|z|ss)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (stem.endsWith("s") && !SINGULAR_S_ENDINGS.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  return stripVerbEnding(stem);
+}
+
+/**
+ * Stems every word of a phrase; words are separated by single spaces.
+ *
+ * @param {string} phrase Lowercase phrase
+ * @returns {string}
+ */
+function stemPhrase(phrase) {
+  return phrase.split(/\s+/).filter(Boolean).map(stemWord).join(" ");
+}
+
+module.exports = {
+  stemWord,
+  stemPhrase,
+};
@@ -0,0 +1,162 @@
+// src/services/inspectService.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const exifToolService = require("./exifToolService");
+const strategyRegistry = require("./promptExtraction/strategyRegistry");
+const PromptExtractionService = require("./promptExtraction/promptExtractionService");
+const { readImageMetadata } = require("./promptExtraction/metadataReader");
+const configService = require("./configService");
+const { selectDescription } = require("./promptSelection");
+const { matchKeywordGroups, mergeKeywordGroups } = require("../fileProcessor");
+const { resolveRoute } = require("./outputRouting");
+
+const TAG_ARGS = ["-EXIF:all", "-XMP:all", "-PNG:all", "-IPTC:all"];
+
+/**
+ * Logger handed to a strategy so its debug/error messages can be reported
+ * as the reason it did or didn't match.
+ */
+function createCapturingLogger() {
+  const messages = [];
+  const capture =
+    (level) =>
+    (operation, messageOrError, metadata = {}) => {
+      const message =
+        messageOrError instanceof Error
+          ? messageOrError.message
+          : String(messageOrError);
+      messages.push({ level, operation, message, ...metadata });
+    };
+
+  return {
+    messages,
+    logger: {
+      logSuccess: capture("success"),
+      logError: capture("error"),
+      logWarning: capture("warn"),
+      logInfo: capture("info"),
+      logDebug: capture("debug"),
+    },
+  };
+}
+
+async function runStrategy(Strategy, metadata, enabled) {
+  const { messages, logger } = createCapturingLogger();
+  const report = {
+    identifier: Strategy.identifier,
+    enabled,
+    status: "no-match",
+    messages,
+  };
+
+  try {
+    const result = await new PromptExtractionService(
+      [Strategy],
+      logger
+    ).extractPrompts(metadata);
+
+    if (result) {
+      report.status = "matched";
+      report.prompts = result.prompts;
+      report.negativePrompt = result.negativePrompt;
+      report.settings = result.settings;
+    } else if (messages.some((entry) => entry.level === "error")) {
+      report.status = "error";
+    }
+  } catch (error) {
+    report.status = "error";
+    messages.push({ level: "error", message: error.message });
+  }
+
+  // The last strategy-level message explains the outcome best, e.g.
+  // "No parameters comment found"
+  const reason = [...messages]
+    .reverse()
+    .find((entry) => entry.operation !== "PromptExtraction");
+  if (report.status !== "matched" && reason) {
+    report.reason = reason.message;
+  }
+
+  return report;
+}
+
+/**
+ * Reports everything the pipeline can see in an image: text chunks, EXIF,
+ * XMP and IPTC tags, what every registered strategy made of them, and the
+ * keywords processing would assign.
+ *
+ * @param {string} filePath
+ * @returns {Promise<Object>}
+ */
+async function inspectFile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const stats = await fs.stat(resolvedPath);
+  if (!stats.isFile()) {
+    throw new Error(`Not a file: ${resolvedPath}`);
+  }
+
+  const [sharpMetadata, metadata, tags] = await Promise.all([
+    sharp(resolvedPath).metadata(),
+    readImageMetadata(resolvedPath),
+    exifToolService.readTags(resolvedPath, TAG_ARGS),
+  ]);
+
+  const { SourceFile, errors, warnings, ...fields } = tags;
+
+  const strategies = [];
+  for (const [identifier, entry] of strategyRegistry.getOrderedEntries()) {
+    const enabled = strategyRegistry.isEnabled(identifier);
+    strategies.push(await runStrategy(entry.Strategy, metadata, enabled));
+  }
+
+  // Same rule as processing: first enabled strategy that matches wins
+  const selected = strategies.find(
+    (strategy) => strategy.enabled && strategy.status === "matched"
+  );
+  const keywordGroups = selected ? matchKeywordGroups(selected) : null;
+  const keywords = keywordGroups ? mergeKeywordGroups(keywordGroups) : [];
+
+  return {
+    file: resolvedPath,
+    format: sharpMetadata.format,
+    width: sharpMetadata.width,
+    height: sharpMetadata.height,
+    size: stats.size,
+    chunks: (sharpMetadata.comments || []).map(({ keyword, text }) => ({
+      keyword,
+      length: text.length,
+      text,
+    })),
+    // Comments the metadata reader derived from EXIF/XMP for the strategies
+    derivedComments: metadata.comments.filter(
+      (comment) =>
+        !(sharpMetadata.comments || []).some(
+          (chunk) => chunk.keyword === comment.keyword
+        )
+    ),
+    tags: fields,
+    tagWarnings: warnings || [],
+    strategies,
+    selectedStrategy: selected ? selected.identifier : null,
+    description: selected
+      ? selectDescription(selected.prompts, configService.get("description"))
+      : null,
+    keywords,
+    // Routing folder under the output directory; null means the manually
+    // selected target
+    route: keywordGroups
+      ? resolveRoute(configService.get("routing.rules"), {
+          keywords,
+          promptKeywords: keywordGroups.prompt,
+          settings: selected.settings,
+        })
+      : null,
+  };
+}
+
+module.exports = {
+  inspectFile,
+};
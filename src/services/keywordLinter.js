@@ -0,0 +1,411 @@
+// src/services/keywordLinter.js
+"use strict";
+
+const KeywordMatcher = require("./keywordMatcher");
+const { tokenizePrompt } = require("./promptTokenizer");
+
+// Characters the matcher turns into spaces, and the comma that splits
+// prompts into phrases; a term containing them can never match as written
+const UNMATCHABLE_PATTERN = /[,()[\]{}<>|:]/;
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// "Time of Day", "time-of-day" and "TimeOfDay" all reduce to "timeofday"
+function canonical(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function splitLabel(label) {
+  const levels = label.split(":").map((level) => level.trim());
+  return {
+    category: levels.slice(0, -1).join(": "),
+    name: levels[levels.length - 1],
+  };
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Edits allowed between two label names still treated as the same label
+function maxTypos(length) {
+  if (length >= 8) return 2;
+  return length >= 3 ? 1 : 0;
+}
+
+function formatLabels(labels) {
+  return labels.map((label) => `"${label}"`).join(", ");
+}
+
+class KeywordLinter {
+  /**
+   * @param {Object} keywordsMap term -> label (or array of labels)
+   * @param {Array<Object>} rules Rules from the keyword files
+   * @param {Object} [origins] { keywords: { term: file }, rules: [file] }
+   */
+  constructor(keywordsMap, rules = [], origins = {}) {
+    this.keywordsMap = keywordsMap;
+    this.rules = rules;
+    this.origins = { keywords: {}, rules: [], ...origins };
+    this.issues = [];
+    // Map terms only, without inflections, to see what a term matches as
+    // written
+    this.matcher = new KeywordMatcher(keywordsMap, { inflections: false });
+  }
+
+  report(level, check, message, terms = []) {
+    const files = [
+      ...new Set(
+        terms.map((term) => this.origins.keywords[term]).filter(Boolean)
+      ),
+    ];
+    this.issues.push({ level, check, message, terms, files });
+  }
+
+  labelsOf(term) {
+    return toList(this.keywordsMap[term]);
+  }
+
+  sameLabels(termA, termB) {
+    const labelsA = this.labelsOf(termA);
+    const labelsB = this.labelsOf(termB);
+    return (
+      labelsA.length === labelsB.length &&
+      labelsA.every((label) => labelsB.includes(label))
+    );
+  }
+
+  /**
+   * Terms that collapse to the same key once lowercased, trimmed or
+   * stripped of spaces. Only one of them survives in the matcher.
+   */
+  checkCollisions() {
+    const groups = new Map();
+    const addToGroup = (key, term) => {
+      if (!groups.has(key)) groups.set(key, new Set());
+      groups.get(key).add(term);
+    };
+
+    for (const term of Object.keys(this.keywordsMap)) {
+      const normalizedKey = term.toLowerCase().trim();
+      addToGroup(normalizedKey, term);
+      addToGroup(normalizedKey.replace(/\s+/g, ""), term);
+    }
+
+    const colliding = new Set();
+    const reported = new Set();
+    for (const [key, termSet] of groups) {
+      const terms = Array.from(termSet);
+      const signature = terms.slice().sort().join("\u0000");
+      if (terms.length < 2 || reported.has(signature)) continue;
+      reported.add(signature);
+      terms.forEach((term) => colliding.add(term));
+
+      const described = terms
+        .map((term) => `"${term}" (${formatLabels(this.labelsOf(term))})`)
+        .join(", ");
+      if (terms.every((term) => this.sameLabels(term, terms[0]))) {
+        this.report(
+          "warning",
+          "duplicate",
+          `${described} all normalize to "${key}"`,
+          terms
+        );
+      } else {
+        this.report(
+          "error",
+          "collision",
+          `${described} normalize to "${key}"; only the last one is used`,
+          terms
+        );
+      }
+    }
+    return colliding;
+  }
+
+  /**
+   * Terms whose own labels don't come out when the term itself is the
+   * prompt, e.g. because it contains a comma or a colon.
+   */
+  checkDeadKeys(colliding) {
+    for (const term of Object.keys(this.keywordsMap)) {
+      if (colliding.has(term)) continue;
+
+      const matches = new Set();
+      for (const token of tokenizePrompt(term)) {
+        if (token.type !== "term") continue;
+        this.matcher
+          .findKeywordsInPhrase(token.text)
+          .forEach((match) => matches.add(match));
+      }
+
+      const missing = this.labelsOf(term).filter(
+        (label) => !matches.has(label)
+      );
+      if (missing.length === 0) continue;
+
+      const reason = UNMATCHABLE_PATTERN.test(term)
+        ? "it contains characters that split or are stripped from prompts"
+        : "other terms match first";
+      this.report(
+        "error",
+        "dead-term",
+        `"${term}" can never produce ${formatLabels(missing)}: ${reason}`,
+        [term]
+      );
+    }
+  }
+
+  /**
+   * A longer phrase starting with a shorter term wins wherever both match,
+   * so the shorter term's labels are lost there ("pine tree" over "pine").
+   */
+  checkShadowing() {
+    const keys = new Map();
+    for (const term of Object.keys(this.keywordsMap)) {
+      const key = term.toLowerCase().trim();
+      if (key) keys.set(key, term);
+    }
+
+    // Terms starting with a key sort right after it
+    const sorted = Array.from(keys.keys()).sort();
+    for (let index = 0; index < sorted.length; index++) {
+      const shortKey = sorted[index];
+      const shortTerm = keys.get(shortKey);
+      const shortLabels = this.labelsOf(shortTerm);
+
+      for (let next = index + 1; next < sorted.length; next++) {
+        const longKey = sorted[next];
+        if (!longKey.startsWith(shortKey)) break;
+        // "sunset" over "sun" is a different word, not a longer phrase
+        if (longKey[shortKey.length] !== " ") continue;
+
+        const longTerm = keys.get(longKey);
+        const lost = shortLabels.filter(
+          (label) => !this.labelsOf(longTerm).includes(label)
+        );
+        if (lost.length === 0) continue;
+
+        this.report(
+          "warning",
+          "shadowed",
+          `"${longTerm}" shadows "${shortTerm}": prompts with "${longKey}" don't get ${formatLabels(
+            lost
+          )}`,
+          [shortTerm, longTerm]
+        );
+      }
+    }
+  }
+
+  getAllLabels() {
+    const labels = new Set();
+    Object.values(this.keywordsMap).forEach((value) =>
+      toList(value).forEach((label) => labels.add(label))
+    );
+    this.rules.forEach((rule) =>
+      toList(rule.label).forEach((label) => labels.add(label))
+    );
+    return Array.from(labels);
+  }
+
+  // label -> keyword map terms carrying it
+  getTermsByLabel() {
+    const termsByLabel = new Map();
+    for (const term of Object.keys(this.keywordsMap)) {
+      for (const label of new Set(this.labelsOf(term))) {
+        if (!termsByLabel.has(label)) termsByLabel.set(label, []);
+        termsByLabel.get(label).push(term);
+      }
+    }
+    return termsByLabel;
+  }
+
+  /**
+   * Categories spelled more than one way, e.g. "Time of Day" and
+   * "TimeOfDay", which split one category into several in photo apps.
+   */
+  checkCategorySpelling(labels) {
+    const spellings = new Map();
+    for (const label of labels) {
+      const levels = label.split(":").map((level) => level.trim());
+      for (let depth = 1; depth < levels.length; depth++) {
+        const category = levels.slice(0, depth).join(": ");
+        const key = canonical(category);
+        if (!spellings.has(key)) spellings.set(key, new Map());
+        const variants = spellings.get(key);
+        variants.set(category, (variants.get(category) || 0) + 1);
+      }
+    }
+
+    for (const variants of spellings.values()) {
+      if (variants.size < 2) continue;
+      const described = Array.from(variants)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, count]) => `"${category}" (${count})`)
+        .join(", ");
+      this.report(
+        "warning",
+        "category-spelling",
+        `Category spelled ${variants.size} ways: ${described}`
+      );
+    }
+  }
+
+  /**
+   * Labels in the same category that differ only by case, punctuation or
+   * a typo or two: "Tree: Pine" / "Tree: Pines".
+   */
+  checkNearDuplicates(labels) {
+    const byCategory = new Map();
+    for (const label of labels) {
+      const { category, name } = splitLabel(label);
+      const key = canonical(category);
+      if (!byCategory.has(key)) byCategory.set(key, []);
+      byCategory.get(key).push({ label, name: canonical(name) });
+    }
+
+    const termsByLabel = this.getTermsByLabel();
+    for (const entries of byCategory.values()) {
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          const a = entries[i];
+          const b = entries[j];
+          const shorter = Math.min(a.name.length, b.name.length);
+          // The distance is at least the length difference
+          if (Math.abs(a.name.length - b.name.length) > maxTypos(shorter)) {
+            continue;
+          }
+          const distance = a.name === b.name ? 0 : levenshtein(a.name, b.name);
+          if (distance > maxTypos(shorter)) continue;
+
+          this.report(
+            "warning",
+            "near-duplicate",
+            `"${a.label}" and "${b.label}" look like the same label`,
+            [
+              ...(termsByLabel.get(a.label) || []),
+              ...(termsByLabel.get(b.label) || []),
+            ]
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Rules with terms that can't appear in a cleaned prompt phrase, and
+   * rules that only repeat what the keyword map already does.
+   */
+  checkRules() {
+    this.rules.forEach((rule, index) => {
+      const where = [
+        `Rule ${index + 1}`,
+        this.origins.rules[index] && `in ${this.origins.rules[index]}`,
+        `(${formatLabels(toList(rule.label))})`,
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+      const terms = ["synonyms", "all", "any"]
+        .filter((key) => key in rule)
+        .flatMap((key) => toList(rule[key]))
+        .filter((entry) => typeof entry === "string");
+
+      const unmatchable = terms.filter((term) =>
+        UNMATCHABLE_PATTERN.test(term)
+      );
+      if (unmatchable.length > 0) {
+        // Dead when a required term can't match, or when nothing else can
+        const requiredTerm =
+          rule.all &&
+          toList(rule.all).some((term) => unmatchable.includes(term));
+        const nothingElse = terms.length === unmatchable.length && !rule.regex;
+        const dead = requiredTerm || nothingElse;
+        this.report(
+          dead ? "error" : "warning",
+          "dead-rule",
+          `${where}: ${formatLabels(unmatchable)} can never match${
+            dead ? ", so the rule never applies" : ""
+          }`
+        );
+      }
+
+      // A synonyms-only rule whose terms are all map terms for the same
+      // labels adds nothing
+      const onlySynonyms = Object.keys(rule).every((key) =>
+        ["label", "synonyms", "inflect"].includes(key)
+      );
+      if (
+        onlySynonyms &&
+        toList(rule.synonyms).every((term) => {
+          const mapTerm = Object.keys(this.keywordsMap).find(
+            (candidate) =>
+              candidate.toLowerCase().trim() === term.toLowerCase().trim()
+          );
+          return (
+            mapTerm &&
+            toList(rule.label).every((label) =>
+              this.labelsOf(mapTerm).includes(label)
+            )
+          );
+        })
+      ) {
+        this.report(
+          "warning",
+          "redundant-rule",
+          `${where}: every synonym is already a keyword term with the same labels`
+        );
+      }
+    });
+  }
+
+  lint() {
+    this.issues = [];
+    const colliding = this.checkCollisions();
+    this.checkDeadKeys(colliding);
+    this.checkShadowing();
+    const labels = this.getAllLabels();
+    this.checkCategorySpelling(labels);
+    this.checkNearDuplicates(labels);
+    this.checkRules();
+    return this.issues;
+  }
+}
+
+/**
+ * Checks a keyword map and its rules for problems the matcher silently
+ * works around: normalized collisions, terms that can never match,
+ * shadowed terms, inconsistent category spelling, near-duplicate labels and
+ * dead rules.
+ *
+ * @param {Object} keywordsMap
+ * @param {Array<Object>} [rules]
+ * @param {Object} [origins] From keywordStore.getOrigins()
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}}
+ */
+function lintKeywords(keywordsMap, rules = [], origins = {}) {
+  const issues = new KeywordLinter(keywordsMap, rules, origins).lint();
+  return {
+    errors: issues.filter((issue) => issue.level === "error"),
+    warnings: issues.filter((issue) => issue.level === "warning"),
+  };
+}
+
+module.exports = {
+  lintKeywords,
+};
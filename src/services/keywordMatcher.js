@@ -1,12 +1,93 @@
 const { logDebug } = require("./logger");
+const { tokenizePrompt } = require("./promptTokenizer");
+const { stemWord, stemPhrase } = require("./inflection");
+const { compileRule, createPromptContext } = require("./keywordRules");
+const KeywordTrie = require("./keywordTrie");
+
+const DEFAULT_NEGATION_CUES = ["no", "without", "not", "lacking"];
+
+// Same as keywords.minScore in defaults.js
+const DEFAULT_MIN_SCORE = 0.5;
+
+// Keyword categories for extra networks referenced in the prompt
+const EXTRA_NETWORK_CATEGORIES = {
+  lora: "LoRA",
+  hypernetwork: "Hypernetwork",
+  embedding: "Embedding",
+};
 
 class KeywordMatcher {
-  constructor(keywordsMap) {
+  /**
+   * @param {Object} keywordsMap term -> label (or array of labels)
+   * @param {Object} [options]
+   * @param {boolean} [options.tagExtraNetworks=true] Add "LoRA: name" /
+   *        "Embedding: name" keywords for extra networks in the prompt
+   * @param {boolean} [options.inflections=false] Also match plurals and
+   *        -ing/-ed forms of terms ("sunsets", "skies")
+   * @param {Array<Object>} [options.rules] Synonym, regex and all/any rules
+   *        from the keyword files
+   * @param {string[]} [options.negationCues] Words that negate the rest of
+   *        a phrase ("no clouds", "without trees")
+   * @param {string} [options.negationMode="suppress"] "suppress" drops
+   *        negated matches, "invert" adds them as "<excludedPrefix>: label"
+   * @param {string} [options.excludedPrefix="Excluded"]
+   * @param {number} [options.minScore=0.5] Drop labels whose best match
+   *        scores lower; the score is the term's prompt weight, so 0 keeps
+   *        every match
+   * @param {number} [options.positionDecay=0] Score reduction per phrase
+   *        from the start of the prompt
+   * @param {Object} [options.categoryThresholds] Minimum score per category,
+   *        e.g. { "Weather": 0.8 }
+   */
+  constructor(keywordsMap, options = {}) {
+    this.options = {
+      tagExtraNetworks: true,
+      inflections: false,
+      negationMode: "suppress",
+      excludedPrefix: "Excluded",
+      ...options,
+    };
+    // Longest first so multi-word cues like "free of" win over "free"
+    this.negationCues = (this.options.negationCues || DEFAULT_NEGATION_CUES)
+      .map((cue) => this.cleanTerm(cue))
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
     this.normalizedKeywordsMap = this.normalizeKeywordsMap(keywordsMap);
     // Create an array of keywords sorted by length (longest first) to prioritize longer matches
     this.sortedKeywords = Object.keys(this.normalizedKeywordsMap).sort(
       (a, b) => b.length - a.length
     );
+    this.buildKeywordTries();
+    this.buildStemmedKeywords();
+    this.rules = (this.options.rules || []).map((rule) =>
+      compileRule(rule, { inflections: this.options.inflections })
+    );
+  }
+
+  // One trie for exact matches and one ignoring spaces; inserting longest
+  // first means the longer term keeps a shared space-free path
+  buildKeywordTries() {
+    this.keywordTrie = new KeywordTrie();
+    this.compactKeywordTrie = new KeywordTrie({ ignoreSpaces: true });
+    for (const keyword of this.sortedKeywords) {
+      const match = this.normalizedKeywordsMap[keyword];
+      this.keywordTrie.insert(keyword, match);
+      this.compactKeywordTrie.insert(keyword, match);
+    }
+  }
+
+  buildStemmedKeywords() {
+    this.stemmedKeywordsMap = {};
+    this.maxKeywordWords = 0;
+    for (const keyword of this.sortedKeywords) {
+      const stemmed = stemPhrase(keyword);
+      if (!stemmed || stemmed in this.stemmedKeywordsMap) continue;
+      this.stemmedKeywordsMap[stemmed] = this.normalizedKeywordsMap[keyword];
+      this.maxKeywordWords = Math.max(
+        this.maxKeywordWords,
+        stemmed.split(" ").length
+      );
+    }
   }
 
   normalizeKeywordsMap(keywordsMap) {
@@ -22,10 +103,9 @@ class KeywordMatcher {
   }
 
   cleanTerm(term) {
-    // Remove anything after and including a colon
-    let cleaned = term.replace(/:[^,]*/, "");
-    // Remove parentheses
-    cleaned = cleaned.replace(/[()]/g, "");
+    // Weights and brackets are handled by the tokenizer; any syntax
+    // characters left over are stray and just separate words
+    let cleaned = term.replace(/[()[\]{}<>|:]/g, " ");
     // Trim any remaining whitespace and convert to lowercase
     cleaned = cleaned.trim().toLowerCase();
     // Replace multiple spaces with single space
@@ -37,32 +117,42 @@ class KeywordMatcher {
     // Try to match the beginning of the text with any known keyword
     const normalizedText = text.toLowerCase();
 
-    // First try space-preserved matches
-    for (const keyword of this.sortedKeywords) {
-      if (normalizedText.startsWith(keyword)) {
-        const remainingText = normalizedText.slice(keyword.length).trim();
-        return {
-          match: this.normalizedKeywordsMap[keyword],
-          remainingText,
-        };
-      }
+    // First try space-preserved matches, then space-removed ones
+    const result =
+      this.keywordTrie.findLongestPrefix(normalizedText) ||
+      this.compactKeywordTrie.findLongestPrefix(normalizedText);
+    if (result) {
+      return {
+        keyword: result.term,
+        match: result.value,
+        remainingText: normalizedText.slice(result.end).trim(),
+      };
     }
 
-    // Then try space-removed matches
-    const textWithoutSpaces = normalizedText.replace(/\s+/g, "");
-    for (const keyword of this.sortedKeywords) {
-      const keywordWithoutSpaces = keyword.replace(/\s+/g, "");
-      if (textWithoutSpaces.startsWith(keywordWithoutSpaces)) {
-        // Calculate the original length with spaces by finding where the normalized match ends
-        const originalLength = normalizedText.indexOf(keyword) + keyword.length;
-        const remainingText = normalizedText.slice(originalLength).trim();
+    if (this.options.inflections) {
+      return this.findInflectedMatchAtStart(normalizedText);
+    }
+
+    return null;
+  }
+
+  // "skies" for "sky", "pine trees" for "pine tree": compares word stems,
+  // longest phrase first
+  findInflectedMatchAtStart(normalizedText) {
+    const words = normalizedText.split(/\s+/).filter(Boolean);
+    // Stem each word once rather than once per candidate phrase length
+    const stems = words.slice(0, this.maxKeywordWords).map(stemWord);
+    for (let count = stems.length; count > 0; count--) {
+      const keyword = stems.slice(0, count).join(" ");
+      const match = this.stemmedKeywordsMap[keyword];
+      if (match) {
         return {
-          match: this.normalizedKeywordsMap[keyword],
-          remainingText,
+          keyword,
+          match,
+          remainingText: words.slice(count).join(" "),
         };
       }
     }
-
     return null;
   }
 
@@ -93,21 +183,225 @@ class KeywordMatcher {
     return Array.from(matches);
   }
 
-  findKeywords(text) {
+  /**
+   * Splits a cleaned phrase at the first negation cue: "beach without
+   * trees" -> { positive: "beach", negated: "trees" }. A cue only negates
+   * the rest of its own phrase.
+   */
+  splitNegation(phrase) {
+    const words = phrase.split(" ");
+    for (let index = 0; index < words.length; index++) {
+      const rest = words.slice(index).join(" ");
+      const cue = this.negationCues.find(
+        (candidate) => rest === candidate || rest.startsWith(`${candidate} `)
+      );
+      if (!cue) continue;
+
+      // Terms that start with a cue word, such as "no humans", are keywords
+      // in their own right
+      const keywordMatch = this.findMatchAtStart(rest);
+      if (keywordMatch && keywordMatch.keyword.startsWith(cue)) continue;
+
+      return {
+        positive: words.slice(0, index).join(" "),
+        negated: rest.slice(cue.length).trim(),
+      };
+    }
+    return { positive: phrase, negated: "" };
+  }
+
+  extraNetworkKeyword(token) {
+    const category = EXTRA_NETWORK_CATEGORIES[token.type];
+    if (!category) return null;
+    // Drop folders and file extensions: "sdxl/detail_v2.safetensors" -> "detail_v2"
+    const name = token.name
+      .split(/[\\/]/)
+      .pop()
+      .replace(/\.(safetensors|pt|ckpt|bin)$/i, "");
+    return name ? `${category}: ${name}` : null;
+  }
+
+  /**
+   * Score of a prompt term: its effective weight, reduced by
+   * `positionDecay` for every phrase before it.
+   */
+  termScore(token, options) {
+    const positionFactor =
+      1 / (1 + (options.positionDecay || 0) * token.phrase);
+    return token.weight * positionFactor;
+  }
+
+  // The most specific configured threshold for a label, e.g. "Landscape:
+  // Water" before "Landscape", otherwise minScore
+  thresholdFor(label, options) {
+    const thresholds = options.categoryThresholds || {};
+    const levels = label.split(":").map((level) => level.trim());
+    for (let depth = levels.length - 1; depth > 0; depth--) {
+      const category = levels.slice(0, depth).join(": ");
+      if (typeof thresholds[category] === "number") {
+        return thresholds[category];
+      }
+    }
+    return options.minScore ?? DEFAULT_MIN_SCORE;
+  }
+
+  findKeywords(text, overrides = {}) {
     if (!text || typeof text !== "string") return [];
 
-    const matchedKeywords = new Set();
+    const options = { ...this.options, ...overrides };
+    // label -> best score; extra networks and inverted negations aren't
+    // weighted and always pass
+    const scores = new Map();
+    const addScore = (label, score) => {
+      if (!scores.has(label) || scores.get(label) < score) {
+        scores.set(label, score);
+      }
+    };
+    const phrases = [];
+    const negatedPhrases = [];
+
+    for (const token of tokenizePrompt(text)) {
+      if (token.type === "term") {
+        const score = this.termScore(token, options);
+        const { positive, negated } = this.splitNegation(
+          this.cleanTerm(token.text)
+        );
+        if (positive) {
+          const matches = this.findKeywordsInPhrase(positive);
+          matches.forEach((match) => addScore(match, score));
+          phrases.push({ text: positive, score });
+        }
+        if (negated) negatedPhrases.push({ text: negated, score });
+      } else if (options.tagExtraNetworks) {
+        const keyword = this.extraNetworkKeyword(token);
+        if (keyword) addScore(keyword, Infinity);
+      }
+    }
+
+    this.findRuleKeywords(phrases).forEach(({ label, score }) =>
+      addScore(label, score)
+    );
+
+    this.findNegatedKeywords(negatedPhrases, options).forEach((keyword) =>
+      addScore(keyword, Infinity)
+    );
+
+    const keywords = [];
+    const dropped = {};
+    for (const [label, score] of scores) {
+      if (score >= this.thresholdFor(label, options)) {
+        keywords.push(label);
+      } else {
+        dropped[label] = Math.round(score * 1000) / 1000;
+      }
+    }
+    if (Object.keys(dropped).length > 0) {
+      logDebug("KeywordMatcher", "Dropped matches below threshold", {
+        dropped,
+      });
+    }
 
-    // Split by commas first
-    const phrases = text.split(",");
+    return keywords;
+  }
+
+  // Matches in negated phrases are dropped, or namespaced in "invert" mode
+  findNegatedKeywords(negatedPhrases, options) {
+    if (negatedPhrases.length === 0) return [];
 
-    // Process each phrase
-    phrases.forEach((phrase) => {
-      const matches = this.findKeywordsInPhrase(phrase);
-      matches.forEach((match) => matchedKeywords.add(match));
-    });
+    const matches = new Set([
+      ...negatedPhrases.flatMap((phrase) =>
+        this.findKeywordsInPhrase(phrase.text)
+      ),
+      ...this.findRuleKeywords(negatedPhrases).map(({ label }) => label),
+    ]);
+    if (matches.size === 0) return [];
+
+    const invert = options.negationMode === "invert";
+    logDebug(
+      "KeywordMatcher",
+      invert ? "Inverted negated matches" : "Suppressed negated matches",
+      {
+        phrases: negatedPhrases.map((phrase) => phrase.text),
+        matches: Array.from(matches),
+      }
+    );
+
+    return invert
+      ? Array.from(matches).map(
+          (match) => `${options.excludedPrefix}: ${match}`
+        )
+      : [];
+  }
+
+  /**
+   * Rules look at the whole prompt, so "all" can combine terms from
+   * different phrases. A rule scores the highest level at which it still
+   * matches using only phrases scoring at least that much.
+   *
+   * @param {Array<{text: string, score: number}>} phrases
+   * @returns {Array<{label: string, score: number}>}
+   */
+  findRuleKeywords(phrases) {
+    if (this.rules.length === 0 || phrases.length === 0) return [];
+
+    const levels = [...new Set(phrases.map((phrase) => phrase.score))].sort(
+      (a, b) => b - a
+    );
+    const contexts = levels.map((level) =>
+      createPromptContext(
+        phrases
+          .filter((phrase) => phrase.score >= level)
+          .map((phrase) => phrase.text)
+      )
+    );
+
+    const results = [];
+    for (const rule of this.rules) {
+      const index = contexts.findIndex((context) => rule.matches(context));
+      if (index === -1) continue;
+      rule.labels.forEach((label) =>
+        results.push({ label, score: levels[index] })
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Prompt phrases that produce no keyword, neither from the map nor from
+   * a rule. Used to find terms worth adding to the keyword rules.
+   *
+   * @param {string} text Prompt text
+   * @returns {string[]} Cleaned, lowercase phrases
+   */
+  findUnmatchedTerms(text) {
+    if (!text || typeof text !== "string") return [];
+
+    const unmatched = new Set();
+    for (const token of tokenizePrompt(text)) {
+      if (token.type !== "term") continue;
+      const { positive } = this.splitNegation(this.cleanTerm(token.text));
+      if (!positive || this.findKeywordsInPhrase(positive).length > 0) {
+        continue;
+      }
+      const context = createPromptContext([positive]);
+      if (this.rules.some((rule) => rule.matches(context))) continue;
+      unmatched.add(positive);
+    }
+    return Array.from(unmatched);
+  }
 
-    return Array.from(matchedKeywords);
+  /**
+   * Matches a negative prompt into a separate namespace, so "blurry" in a
+   * negative prompt yields "Excluded: Quality: Blurry" rather than tagging
+   * the image as blurry.
+   */
+  findExcludedKeywords(text, prefix = "Excluded") {
+    // Extra networks in a negative prompt (negative embeddings) say nothing
+    // about the image content
+    return this.findKeywords(text, {
+      tagExtraNetworks: false,
+      negationMode: "suppress",
+    }).map((keyword) => `${prefix}: ${keyword}`);
   }
 }
 
@@ -0,0 +1,153 @@
+// src/services/keywordRules.js
+"use strict";
+
+const { stemPhrase } = require("./inflection");
+
+const CONDITION_KEYS = ["synonyms", "regex", "all", "any"];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function checkRegex(source, where, problems) {
+  try {
+    new RegExp(source, "i");
+  } catch (error) {
+    problems.push(`${where}: invalid regex: ${error.message}`);
+  }
+}
+
+/**
+ * Checks a rule from a keyword file. Returns a list of problems, empty when
+ * the rule is valid.
+ *
+ * @param {Object} rule
+ * @param {string} where Location for messages, e.g. "keywords/a.yaml rule 2"
+ * @returns {string[]}
+ */
+function validateRule(rule, where) {
+  const problems = [];
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return [`${where}: must be an object`];
+  }
+
+  const labels = toList(rule.label);
+  if (labels.length === 0 || !labels.every(isNonEmptyString)) {
+    problems.push(`${where}: "label" must be a label or a list of labels`);
+  }
+
+  const conditions = CONDITION_KEYS.filter((key) => key in rule);
+  if (conditions.length === 0) {
+    problems.push(`${where}: needs one of ${CONDITION_KEYS.join(", ")}`);
+  }
+
+  for (const key of conditions) {
+    const entries = toList(rule[key]);
+    if (entries.length === 0) {
+      problems.push(`${where}: "${key}" is empty`);
+    }
+    for (const entry of entries) {
+      if (key === "regex") {
+        if (isNonEmptyString(entry)) checkRegex(entry, where, problems);
+        else problems.push(`${where}: "regex" must be a string or list`);
+      } else if (entry && typeof entry === "object" && !Array.isArray(entry)) {
+        // all/any entries may be { regex: "..." } instead of a term
+        if (key === "synonyms" || !isNonEmptyString(entry.regex)) {
+          problems.push(`${where}: invalid entry in "${key}"`);
+        } else {
+          checkRegex(entry.regex, where, problems);
+        }
+      } else if (!isNonEmptyString(entry)) {
+        problems.push(`${where}: "${key}" entries must be terms`);
+      }
+    }
+  }
+
+  if ("inflect" in rule && typeof rule.inflect !== "boolean") {
+    problems.push(`${where}: "inflect" must be true or false`);
+  }
+
+  return problems;
+}
+
+function normalizeTerm(term) {
+  return term.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Turns a validated rule into `{ labels, matches(prompt) }`, where `prompt`
+ * comes from createPromptContext.
+ *
+ * @param {Object} rule
+ * @param {Object} [options]
+ * @param {boolean} [options.inflections=false] Default for rules without
+ *        their own `inflect` setting
+ */
+function compileRule(rule, { inflections = false } = {}) {
+  const inflect = rule.inflect ?? inflections;
+
+  const compileEntry = (entry) => {
+    if (typeof entry === "object") {
+      const pattern = new RegExp(entry.regex, "i");
+      return (prompt) => pattern.test(prompt.text);
+    }
+    const term = normalizeTerm(entry);
+    const stemmed = stemPhrase(term);
+    return (prompt) =>
+      inflect ? prompt.hasPhrase(stemmed, true) : prompt.hasPhrase(term, false);
+  };
+
+  const checks = [];
+  if (rule.synonyms) {
+    const entries = toList(rule.synonyms).map(compileEntry);
+    checks.push((prompt) => entries.some((check) => check(prompt)));
+  }
+  if (rule.regex) {
+    const entries = toList(rule.regex).map((regex) => compileEntry({ regex }));
+    checks.push((prompt) => entries.some((check) => check(prompt)));
+  }
+  if (rule.all) {
+    const entries = toList(rule.all).map(compileEntry);
+    checks.push((prompt) => entries.every((check) => check(prompt)));
+  }
+  if (rule.any) {
+    const entries = toList(rule.any).map(compileEntry);
+    checks.push((prompt) => entries.some((check) => check(prompt)));
+  }
+
+  return {
+    labels: toList(rule.label),
+    matches: (prompt) => checks.every((check) => check(prompt)),
+  };
+}
+
+/**
+ * Prepares prompt phrases for rule matching: the joined text for regexes,
+ * plus word lists (literal and stemmed) for term lookups.
+ *
+ * @param {string[]} phrases Cleaned, lowercase prompt phrases
+ */
+function createPromptContext(phrases) {
+  const padded = phrases.map((phrase) => ` ${phrase} `);
+  const paddedStems = phrases.map((phrase) => ` ${stemPhrase(phrase)} `);
+
+  return {
+    text: phrases.join(", "),
+    hasPhrase(phrase, stemmed) {
+      const needle = ` ${phrase} `;
+      return (stemmed ? paddedStems : padded).some((candidate) =>
+        candidate.includes(needle)
+      );
+    },
+  };
+}
+
+module.exports = {
+  validateRule,
+  compileRule,
+  createPromptContext,
+};
@@ -0,0 +1,564 @@
+// src/services/keywordStore.js
+"use strict";
+
+const EventEmitter = require("events");
+const fs = require("fs").promises;
+const { watch: fsWatch } = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const configService = require("./configService");
+const { validateRule } = require("./keywordRules");
+const { logInfo, logWarning, logError, logDebug } = require("./logger");
+
+const RULE_FILE_EXTENSIONS = [".json", ".yaml", ".yml", ".js"];
+const RELOAD_DELAY_MS = 300;
+
+class KeywordRulesError extends Error {
+  constructor(problems) {
+    super(`Invalid keyword rules:\n  ${problems.join("\n  ")}`);
+    this.name = "KeywordRulesError";
+    this.problems = problems;
+  }
+}
+
+// A keyword edit that can't be applied; code is "INVALID", "NOT_FOUND" or
+// "CONFLICT"
+class KeywordEditError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "KeywordEditError";
+    this.code = code;
+  }
+}
+
+function normalizeTerm(term) {
+  return term.toLowerCase().trim();
+}
+
+/**
+ * Loads the keyword map and rules from the JSON/YAML rule files (and the
+ * legacy src/keywords.js module) listed in `keywords.sources`, merging them
+ * in order. Watches the sources and emits "change" with the new ruleset
+ * after a successful reload; a failed reload keeps the last good ruleset.
+ */
+class KeywordStore extends EventEmitter {
+  constructor() {
+    super();
+    this.keywordsMap = {};
+    this.rules = [];
+    this.origins = { keywords: {}, rules: [] };
+    this.files = [];
+    this.watchers = [];
+    this.watching = false;
+    this.reloadTimer = null;
+    // Edits are applied one at a time so they don't overwrite each other
+    this.editQueue = Promise.resolve();
+  }
+
+  getSources() {
+    return (configService.get("keywords.sources") || []).map((source) =>
+      path.resolve(process.cwd(), source)
+    );
+  }
+
+  getEditableFile() {
+    const editableFile = configService.get("keywords.editableFile");
+    return editableFile ? path.resolve(process.cwd(), editableFile) : null;
+  }
+
+  // Expands directories into the rule files they contain. The editable
+  // file always comes last, wherever it lives
+  async resolveFiles() {
+    const editableFile = this.getEditableFile();
+    const files = [];
+    for (const source of this.getSources()) {
+      let stats;
+      try {
+        stats = await fs.stat(source);
+      } catch (error) {
+        if (error.code === "ENOENT") continue;
+        throw error;
+      }
+
+      if (stats.isDirectory()) {
+        const names = await fs.readdir(source);
+        files.push(
+          ...names
+            .filter((name) =>
+              RULE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+            )
+            .sort()
+            .map((name) => path.join(source, name))
+        );
+      } else {
+        files.push(source);
+      }
+    }
+
+    const resolved = files.filter((file) => file !== editableFile);
+    if (editableFile && (await this.exists(editableFile))) {
+      resolved.push(editableFile);
+    }
+    return resolved;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async readFile(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === ".js") {
+      delete require.cache[require.resolve(filePath)];
+      const { keywordsMap } = require(filePath);
+      return { keywords: keywordsMap };
+    }
+
+    const content = await fs.readFile(filePath, "utf8");
+    return extension === ".json" ? JSON.parse(content) : yaml.load(content);
+  }
+
+  validateKeywords(keywords, fileName, problems) {
+    if (!keywords || typeof keywords !== "object" || Array.isArray(keywords)) {
+      problems.push(`${fileName}: "keywords" must be a map of term to label`);
+      return;
+    }
+
+    for (const [term, label] of Object.entries(keywords)) {
+      if (!term.trim()) {
+        problems.push(`${fileName}: empty term`);
+      }
+      const labels = Array.isArray(label) ? label : [label];
+      if (
+        labels.length === 0 ||
+        labels.some((value) => typeof value !== "string" || !value.trim())
+      ) {
+        problems.push(
+          `${fileName}: "${term}" must map to a label or a list of labels`
+        );
+      }
+    }
+  }
+
+  validateRules(rules, fileName, problems) {
+    if (!Array.isArray(rules)) {
+      problems.push(`${fileName}: "rules" must be a list`);
+      return;
+    }
+    rules.forEach((rule, index) =>
+      problems.push(...validateRule(rule, `${fileName} rule ${index + 1}`))
+    );
+  }
+
+  /**
+   * Reads and validates every source. Throws KeywordRulesError listing all
+   * problems found, without touching the current ruleset.
+   */
+  async buildRuleset(files) {
+    const keywordsMap = {};
+    const rules = [];
+    const origins = {};
+    // File each term and rule came from, for reports like the linter's
+    const sources = { keywords: {}, rules: [] };
+    const problems = [];
+    const editableFile = this.getEditableFile();
+
+    for (const filePath of files) {
+      const fileName = path.relative(process.cwd(), filePath);
+      let document;
+      try {
+        document = await this.readFile(filePath);
+      } catch (error) {
+        // YAML errors carry a code excerpt; the reason and line are enough
+        const reason = error.mark
+          ? `${error.reason} (line ${error.mark.line + 1})`
+          : error.message;
+        problems.push(`${fileName}: ${reason}`);
+        continue;
+      }
+
+      if (
+        !document ||
+        typeof document !== "object" ||
+        !("keywords" in document || "rules" in document)
+      ) {
+        problems.push(`${fileName}: expected a "keywords" or "rules" section`);
+        continue;
+      }
+
+      const fileProblems = [];
+      if ("keywords" in document) {
+        this.validateKeywords(document.keywords, fileName, fileProblems);
+      }
+      if ("rules" in document) {
+        this.validateRules(document.rules, fileName, fileProblems);
+      }
+      problems.push(...fileProblems);
+      if (fileProblems.length > 0) continue;
+
+      rules.push(...(document.rules || []));
+      sources.rules.push(...(document.rules || []).map(() => fileName));
+      for (const [term, label] of Object.entries(document.keywords || {})) {
+        const key = term.toLowerCase().trim();
+        // Overriding is what the editable file is for
+        if (origins[key] && filePath !== editableFile) {
+          logWarning(
+            "KeywordStore",
+            `"${term}" in ${fileName} overrides the rule from ${origins[key]}`
+          );
+        }
+        origins[key] = fileName;
+        sources.keywords[term] = fileName;
+        keywordsMap[term] = label;
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new KeywordRulesError(problems);
+    }
+    return { keywordsMap, rules, origins: sources };
+  }
+
+  /**
+   * (Re)loads the rules. Returns true when the new rules are in use.
+   */
+  async load() {
+    try {
+      const files = await this.resolveFiles();
+      const { keywordsMap, rules, origins } = await this.buildRuleset(files);
+
+      if (files.length === 0) {
+        logWarning(
+          "KeywordStore",
+          "No keyword rule files found; keyword matching is disabled",
+          { sources: this.getSources() }
+        );
+      }
+
+      this.files = files;
+      this.keywordsMap = keywordsMap;
+      this.rules = rules;
+      this.origins = origins;
+      logInfo(
+        "KeywordStore",
+        `Loaded ${Object.keys(keywordsMap).length} keywords and ${
+          rules.length
+        } rules`,
+        { files: files.map((file) => path.relative(process.cwd(), file)) }
+      );
+      this.emit("change", { keywordsMap, rules });
+      return true;
+    } catch (error) {
+      logError("KeywordStore", error, {
+        context: "Keeping the last good keyword rules",
+      });
+      return false;
+    }
+  }
+
+  getKeywordsMap() {
+    return this.keywordsMap;
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  // { keywords: { term: file }, rules: [file per rule] }
+  getOrigins() {
+    return this.origins;
+  }
+
+  // The term as spelled in the keyword files, matched case-insensitively
+  findTerm(term) {
+    const key = normalizeTerm(term);
+    const matches = Object.keys(this.keywordsMap).filter(
+      (candidate) => normalizeTerm(candidate) === key
+    );
+    // Later files override earlier ones
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  toEntry(term) {
+    const label = this.keywordsMap[term];
+    return {
+      term,
+      labels: Array.isArray(label) ? label : [label],
+      file: this.origins.keywords[term] || null,
+    };
+  }
+
+  /**
+   * Keyword mappings, optionally filtered by a search text (matched against
+   * terms and labels) and a label category prefix.
+   *
+   * @param {Object} [filters]
+   * @param {string} [filters.search]
+   * @param {string} [filters.category] e.g. "Weather" or "Landscape: Water"
+   * @returns {Array<{term: string, labels: string[], file: string}>}
+   */
+  listKeywords({ search, category } = {}) {
+    const needle = search ? search.toLowerCase().trim() : "";
+    const prefix = category ? category.toLowerCase().trim() : "";
+
+    return Object.keys(this.keywordsMap)
+      .map((term) => this.toEntry(term))
+      .filter(
+        (entry) =>
+          !needle ||
+          entry.term.toLowerCase().includes(needle) ||
+          entry.labels.some((label) => label.toLowerCase().includes(needle))
+      )
+      .filter(
+        (entry) =>
+          !prefix ||
+          entry.labels.some((label) => {
+            const lower = label.toLowerCase();
+            return lower === prefix || lower.startsWith(`${prefix}:`);
+          })
+      )
+      .sort((a, b) => a.term.localeCompare(b.term));
+  }
+
+  getKeyword(term) {
+    const existing = this.findTerm(term);
+    return existing ? this.toEntry(existing) : null;
+  }
+
+  /**
+   * Adds a mapping (`create`) or changes an existing one. Saved to the
+   * editable file and applied right away; a term from another file is
+   * overridden there rather than edited in place.
+   *
+   * @param {string} term
+   * @param {string|string[]} label
+   * @param {Object} [options]
+   * @param {boolean} [options.create=false] Fail if the term exists
+   * @returns {Promise<Object>} The updated entry
+   */
+  setKeyword(term, label, { create = false } = {}) {
+    return this.queueEdit(async () => {
+      const trimmed = typeof term === "string" ? term.trim() : "";
+      const problems = [];
+      this.validateKeywords({ [trimmed]: label }, "Keyword", problems);
+      if (problems.length > 0) {
+        throw new KeywordEditError(problems.join("; "), "INVALID");
+      }
+
+      const existing = this.findTerm(trimmed);
+      if (create && existing) {
+        throw new KeywordEditError(
+          `"${existing}" already maps to ${JSON.stringify(
+            this.keywordsMap[existing]
+          )}`,
+          "CONFLICT"
+        );
+      }
+      if (!create && !existing) {
+        throw new KeywordEditError(`Unknown keyword "${trimmed}"`, "NOT_FOUND");
+      }
+
+      // Keep the existing spelling so the override replaces the entry
+      const savedTerm = existing || trimmed;
+      await this.updateEditableFile((keywords) => {
+        keywords[savedTerm] = label;
+      });
+      return this.getKeyword(savedTerm);
+    });
+  }
+
+  /**
+   * Removes a mapping from the editable file. Terms from other files have
+   * to be removed there.
+   */
+  removeKeyword(term) {
+    return this.queueEdit(async () => {
+      const existing = this.findTerm(term);
+      if (!existing) {
+        throw new KeywordEditError(`Unknown keyword "${term}"`, "NOT_FOUND");
+      }
+
+      const editableFile = this.getEditableFile();
+      const file = this.origins.keywords[existing];
+      if (
+        !editableFile ||
+        file !== path.relative(process.cwd(), editableFile)
+      ) {
+        throw new KeywordEditError(
+          `"${existing}" is defined in ${file}; remove it there`,
+          "CONFLICT"
+        );
+      }
+
+      const removed = this.toEntry(existing);
+      await this.updateEditableFile((keywords) => {
+        delete keywords[existing];
+      });
+      return removed;
+    });
+  }
+
+  queueEdit(edit) {
+    const result = this.editQueue.then(edit);
+    this.editQueue = result.catch(() => {});
+    return result;
+  }
+
+  async updateEditableFile(update) {
+    const editableFile = this.getEditableFile();
+    if (!editableFile) {
+      throw new Error("keywords.editableFile is not configured");
+    }
+    const extension = path.extname(editableFile).toLowerCase();
+    if (![".json", ".yaml", ".yml"].includes(extension)) {
+      throw new Error("keywords.editableFile must be a JSON or YAML file");
+    }
+
+    const document = (await this.exists(editableFile))
+      ? (await this.readFile(editableFile)) || {}
+      : {};
+    document.keywords = document.keywords || {};
+    update(document.keywords);
+
+    const content =
+      extension === ".json"
+        ? `${JSON.stringify(document, null, 2)}\n`
+        : yaml.dump(document, { lineWidth: -1 });
+
+    // Write then rename, so the watcher never reads a half-written file
+    const createdDirectory = !(await this.exists(path.dirname(editableFile)));
+    await fs.mkdir(path.dirname(editableFile), { recursive: true });
+    const tempFile = `${editableFile}.tmp`;
+    await fs.writeFile(tempFile, content, "utf8");
+    await fs.rename(tempFile, editableFile);
+    logInfo(
+      "KeywordStore",
+      `Saved keyword changes to ${path.relative(process.cwd(), editableFile)}`
+    );
+
+    // Hand edits to the new file should be picked up right away too
+    if (createdDirectory && this.watching) await this.watch();
+
+    if (!(await this.load())) {
+      throw new Error("Saved the change, but the keyword rules failed to load");
+    }
+  }
+
+  /**
+   * Watches the directories holding the sources, so files added later or
+   * replaced by an editor's save are picked up too. A directory that doesn't
+   * exist yet (`keywords/` on a fresh install) is waited for from its
+   * nearest existing parent, and the watchers are set up again once it
+   * appears.
+   */
+  async watch() {
+    const directories = new Set();
+    const editableFile = this.getEditableFile();
+    if (editableFile) directories.add(path.dirname(editableFile));
+    for (const source of this.getSources()) {
+      try {
+        const stats = await fs.stat(source);
+        directories.add(stats.isDirectory() ? source : path.dirname(source));
+      } catch {
+        directories.add(path.dirname(source));
+      }
+    }
+
+    const missing = [];
+    const watched = new Set();
+    for (const directory of directories) {
+      let existing = directory;
+      while (!(await this.exists(existing))) {
+        if (path.dirname(existing) === existing) break;
+        if (existing === directory) missing.push(directory);
+        existing = path.dirname(existing);
+      }
+      watched.add(existing);
+    }
+
+    // Nothing async from here on, so overlapping calls can't leave
+    // duplicate watchers behind
+    this.closeWatchers();
+    this.watching = true;
+    for (const directory of watched) {
+      try {
+        const watcher = fsWatch(directory, (eventType, filename) => {
+          if (!filename) return;
+          const changedPath = path.join(directory, filename);
+          if (
+            missing.some(
+              (missingDirectory) =>
+                missingDirectory === changedPath ||
+                missingDirectory.startsWith(`${changedPath}${path.sep}`)
+            )
+          ) {
+            this.onDirectoryCreated(changedPath);
+          } else if (
+            RULE_FILE_EXTENSIONS.includes(path.extname(filename).toLowerCase())
+          ) {
+            this.scheduleReload(changedPath);
+          }
+        });
+        this.watchers.push(watcher);
+        logDebug("KeywordStore", `Watching ${directory} for rule changes`);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logError("KeywordStore", error, { directory });
+        }
+      }
+    }
+  }
+
+  // Moves the watchers into a directory that was just created and loads
+  // anything already written to it
+  async onDirectoryCreated(directory) {
+    if (!this.watching || !(await this.exists(directory))) return;
+    logInfo(
+      "KeywordStore",
+      `${path.relative(process.cwd(), directory)} was created, watching it`
+    );
+    await this.watch();
+    await this.load();
+  }
+
+  scheduleReload(changedPath) {
+    const sources = this.getSources();
+    const relevant =
+      this.files.includes(changedPath) ||
+      changedPath === this.getEditableFile() ||
+      sources.includes(changedPath) ||
+      sources.includes(path.dirname(changedPath));
+    if (!relevant) return;
+
+    // Editors fire several events per save
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => {
+      logInfo(
+        "KeywordStore",
+        `Keyword rules changed (${path.basename(changedPath)}), reloading`
+      );
+      this.load();
+    }, RELOAD_DELAY_MS);
+  }
+
+  closeWatchers() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+
+  stop() {
+    clearTimeout(this.reloadTimer);
+    this.closeWatchers();
+    this.watching = false;
+  }
+}
+
+// Create and export a singleton instance
+const keywordStore = new KeywordStore();
+
+module.exports = keywordStore;
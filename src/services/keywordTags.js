@@ -0,0 +1,134 @@
+// src/services/keywordTags.js
+"use strict";
+
+// Keywords the pipeline matched, written next to the keyword fields so
+// re-tagging and sidecar updates can tell them from keywords added by hand
+const AUTO_KEYWORDS_TAG = "XMP-metaimager:AutoKeywords";
+
+// How each supported field expects a keyword path
+const FIELD_FORMATS = {
+  // Flat, as matched: "Landscape: Water: Lake"
+  Keywords: (levels, keyword) => keyword,
+  // Leaf labels only: "Lake". Negated keywords are left out and the
+  // qualified categories keep their full label, since "Blurry", "AI" or
+  // "sd_xl_base" alone would say something else
+  "XMP-dc:Subject": (
+    levels,
+    keyword,
+    { excludedPrefix, qualifiedCategories }
+  ) => {
+    const category = levels[0]?.toLowerCase();
+    if (levels.length > 1 && category === excludedPrefix?.toLowerCase()) {
+      return null;
+    }
+    if (
+      levels.length > 1 &&
+      qualifiedCategories.some((name) => name.toLowerCase() === category)
+    ) {
+      return keyword;
+    }
+    return levels[levels.length - 1];
+  },
+  // Lightroom/Bridge: "Landscape|Water|Lake"
+  "XMP-lr:HierarchicalSubject": (levels) => levels.join("|"),
+  // digiKam: "Landscape/Water/Lake"
+  "XMP-digiKam:TagsList": (levels) => levels.join("/"),
+};
+
+const DEFAULT_FIELDS = Object.keys(FIELD_FORMATS);
+
+// Tags as exiftool reads them back (-G1), most complete first, and how to
+// turn their values back into flat keywords
+const READ_FIELDS = [
+  ["IPTC:Keywords", (value) => value],
+  [
+    "XMP-lr:HierarchicalSubject",
+    (value, separator) => value.split("|").join(`${separator} `),
+  ],
+  [
+    "XMP-digiKam:TagsList",
+    (value, separator) => value.split("/").join(`${separator} `),
+  ],
+  ["XMP-dc:Subject", (value) => value],
+];
+
+/**
+ * Splits "Category: Label" keywords into levels and writes them to the
+ * configured keyword fields, so DAM tools show a category tree.
+ *
+ * @param {string[]} keywords Matched keywords
+ * @param {Object} [options]
+ * @param {string} [options.separator=":"] Level separator in keywords
+ * @param {string[]} [options.fields] Any of the FIELD_FORMATS tag names
+ * @param {string} [options.excludedPrefix] Namespace of negated keywords,
+ *        left out of leaf-only fields
+ * @param {string[]} [options.qualifiedCategories] Categories written with
+ *        their full label to leaf-only fields
+ * @returns {Object} Tags ready for exifToolService.writeMetadata
+ */
+function buildKeywordTags(keywords, options = {}) {
+  const {
+    separator = ":",
+    fields = DEFAULT_FIELDS,
+    excludedPrefix,
+    qualifiedCategories = [],
+  } = options;
+
+  const unknown = fields.filter((field) => !FIELD_FORMATS[field]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unsupported keyword field(s): ${unknown.join(
+        ", "
+      )}. Use any of: ${DEFAULT_FIELDS.join(", ")}`
+    );
+  }
+
+  const tags = {};
+  for (const field of fields) {
+    const values = keywords.map((keyword) => {
+      const levels = keyword
+        .split(separator)
+        .map((level) => level.trim())
+        .filter(Boolean);
+      return FIELD_FORMATS[field](levels, keyword, {
+        excludedPrefix,
+        qualifiedCategories,
+      });
+    });
+    tags[field] = [...new Set(values.filter(Boolean))];
+  }
+  return tags;
+}
+
+/**
+ * Reads the flat keywords back from tags written by buildKeywordTags,
+ * using the most complete keyword field present. Leaf-only XMP-dc:Subject
+ * is the last resort.
+ *
+ * @param {Object} tags Tags from exifToolService.readTags
+ * @param {Object} [options]
+ * @param {string} [options.separator=":"] Level separator in keywords
+ * @returns {string[]|null} null when no keyword field is present
+ */
+function readKeywordTags(tags, options = {}) {
+  const { separator = ":" } = options;
+
+  for (const [tagName, toKeyword] of READ_FIELDS) {
+    if (tags[tagName] === undefined) continue;
+    // A single-entry list reads back as a plain value
+    const values = Array.isArray(tags[tagName])
+      ? tags[tagName]
+      : [tags[tagName]];
+    return [
+      ...new Set(values.map((value) => toKeyword(String(value), separator))),
+    ];
+  }
+  return null;
+}
+
+module.exports = {
+  AUTO_KEYWORDS_TAG,
+  buildKeywordTags,
+  readKeywordTags,
+  KEYWORD_READ_TAGS: READ_FIELDS.map(([tagName]) => tagName),
+};
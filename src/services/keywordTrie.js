@@ -0,0 +1,69 @@
+// src/services/keywordTrie.js
+"use strict";
+
+const WHITESPACE = /\s/;
+
+function createNode() {
+  return { children: new Map(), entry: null };
+}
+
+/**
+ * Character trie over keyword terms, answering "which is the longest term
+ * the text starts with" in one walk instead of a startsWith per term.
+ */
+class KeywordTrie {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.ignoreSpaces=false] Index terms without their
+   *        whitespace and skip whitespace in the text while walking, so
+   *        "sun set" finds "sunset" and the other way round
+   */
+  constructor({ ignoreSpaces = false } = {}) {
+    this.ignoreSpaces = ignoreSpaces;
+    this.root = createNode();
+    this.size = 0;
+  }
+
+  /**
+   * Adds a term. The first term added for a path keeps it, so insert in
+   * order of preference.
+   */
+  insert(term, value) {
+    let node = this.root;
+    for (let index = 0; index < term.length; index++) {
+      const char = term[index];
+      if (this.ignoreSpaces && WHITESPACE.test(char)) continue;
+      if (!node.children.has(char)) node.children.set(char, createNode());
+      node = node.children.get(char);
+    }
+    if (node === this.root || node.entry) return;
+    node.entry = { term, value };
+    this.size++;
+  }
+
+  /**
+   * Longest term the text starts with.
+   *
+   * @param {string} text
+   * @returns {{term: string, value: *, end: number}|null} `end` is the index
+   *          in `text` just past the match
+   */
+  findLongestPrefix(text) {
+    let node = this.root;
+    let best = null;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (this.ignoreSpaces && WHITESPACE.test(char)) continue;
+      node = node.children.get(char);
+      if (!node) break;
+      if (node.entry) {
+        best = { ...node.entry, end: index + 1 };
+      }
+    }
+
+    return best;
+  }
+}
+
+module.exports = KeywordTrie;
@@ -0,0 +1,181 @@
+// src/services/metadataTemplates.js
+"use strict";
+
+const path = require("path");
+
+const PLACEHOLDER_PATTERN = /\{\{([^{}]*)\}\}/g;
+// "|" separated parts of a placeholder, keeping quoted arguments whole
+const EXPRESSION_PART_PATTERN = /(?:[^|"]|"[^"]*")+/g;
+
+// `{{name | filter}}` and `{{name | filter:argument}}`
+const FILTERS = {
+  default: (value, fallback = "") => value || fallback,
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  truncate: (value, length) => {
+    const limit = Number(length);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`truncate needs a positive length, got "${length}"`);
+    }
+    return value.length > limit ? value.slice(0, limit).trimEnd() : value;
+  },
+  // First line of multi-line values such as descriptions
+  firstLine: (value) => value.split(/\r?\n/)[0],
+};
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Top-level categories of "Category: Label" keywords, in order of appearance
+function getCategories(keywords, separator) {
+  return [
+    ...new Set(
+      keywords
+        .filter((keyword) => keyword.includes(separator))
+        .map((keyword) => keyword.split(separator)[0].trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Values available to metadata templates as `{{name}}`, from what the
+ * pipeline extracted for one image. Missing values are empty strings.
+ *
+ * @param {Object} context
+ * @param {string} context.filename Source filename
+ * @param {string} [context.description] Selected description
+ * @param {Array<Object>} [context.prompts] Positive prompts
+ * @param {string} [context.negativePrompt]
+ * @param {Object|null} [context.settings] Generation settings
+ * @param {string[]} [context.keywords] Matched keywords
+ * @param {string} [context.strategy] Extraction strategy identifier
+ * @param {string} [context.separator=":"] `keywordHierarchy.separator`,
+ *        what `{{categories}}` splits keywords on
+ * @param {Date} [context.date] Processing date, defaults to now
+ * @returns {Object<string, string>}
+ */
+function buildTemplateValues(context) {
+  const {
+    filename,
+    description = "",
+    prompts = [],
+    negativePrompt = "",
+    settings = null,
+    keywords = [],
+    strategy = "",
+    separator = ":",
+    date = new Date(),
+  } = context;
+  const setting = (name) =>
+    settings?.[name] === undefined || settings[name] === null
+      ? ""
+      : String(settings[name]);
+
+  return {
+    filename,
+    name: path.basename(filename, path.extname(filename)),
+    description,
+    prompt: prompts[0]?.originalText || "",
+    negativePrompt: negativePrompt || "",
+    model: setting("model"),
+    seed: setting("seed"),
+    sampler: setting("sampler"),
+    steps: setting("steps"),
+    cfgScale: setting("cfgScale"),
+    size: setting("size"),
+    keywords: keywords.join(", "),
+    categories: getCategories(keywords, separator).join(", "),
+    strategy,
+    date: formatDate(date),
+    year: String(date.getFullYear()),
+  };
+}
+
+// `truncate:200` -> { name: "truncate", argument: "200" }
+function parseFilter(part, template) {
+  const match = part.trim().match(/^(\w+)(?:\s*:\s*(?:"([^"]*)"|(\S+)))?$/);
+  if (!match || !FILTERS[match[1]]) {
+    throw new Error(
+      `Unknown template filter "${part.trim()}" in "${template}". Use any of: ${Object.keys(
+        FILTERS
+      ).join(", ")}`
+    );
+  }
+  return { name: match[1], argument: match[2] ?? match[3] };
+}
+
+/**
+ * Replaces `{{name}}` placeholders with template values, passed through
+ * any filters: `{{prompt | truncate:200}}`, `{{model | default:"unknown"}}`.
+ * Throws on names and filters that don't exist, which are config mistakes.
+ *
+ * @param {string} template e.g. "© {{year}} Studio"
+ * @param {Object<string, string>} values From buildTemplateValues
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  return String(template)
+    .replace(PLACEHOLDER_PATTERN, (placeholder, expression) => {
+      const [name = "", ...filterParts] =
+        expression.match(EXPRESSION_PART_PATTERN) || [];
+      const field = name.trim();
+      if (!(field in values)) {
+        throw new Error(
+          `Unknown template field "${field}" in "${template}". Use any of: ${Object.keys(
+            values
+          ).join(", ")}`
+        );
+      }
+      return filterParts
+        .map((part) => parseFilter(part, template))
+        .reduce(
+          (value, filter) =>
+            String(FILTERS[filter.name](value, filter.argument)),
+          values[field]
+        );
+    })
+    .trim();
+}
+
+/**
+ * Tags from the `metadata.fields` mapping of exiftool tag names to
+ * templates. A list of templates writes a list tag; empty results are
+ * left out.
+ *
+ * @param {Object<string, string|string[]>} fields
+ * @param {Object<string, string>} values From buildTemplateValues
+ * @returns {Object} Tags ready for exifToolService.writeMetadata
+ */
+function buildFieldTags(fields = {}, values) {
+  if (!fields || typeof fields !== "object" || Array.isArray(fields)) {
+    throw new Error("metadata.fields must map tag names to templates");
+  }
+
+  const tags = {};
+  for (const [tagName, template] of Object.entries(fields)) {
+    if (template === null || template === undefined) continue;
+    if (Array.isArray(template)) {
+      const items = template
+        .map((item) => renderTemplate(item, values))
+        .filter(Boolean);
+      if (items.length > 0) tags[tagName] = items;
+      continue;
+    }
+    if (typeof template !== "string") {
+      throw new Error(
+        `metadata.fields "${tagName}" must be a template or list of templates`
+      );
+    }
+    const value = renderTemplate(template, values);
+    if (value) tags[tagName] = value;
+  }
+  return tags;
+}
+
+module.exports = {
+  buildTemplateValues,
+  renderTemplate,
+  buildFieldTags,
+};
@@ -0,0 +1,156 @@
+// src/services/outputRouting.js
+"use strict";
+
+const path = require("path");
+
+const CONDITION_KEYS = ["keywords", "settings", "untagged"];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// "juggernaut*" -> /^juggernaut.*$/i
+function globToRegExp(pattern) {
+  const escaped = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+/**
+ * Checks the `routing.rules` list. Returns a list of problems, empty when
+ * the rules are valid.
+ *
+ * @param {Array<Object>} rules
+ * @returns {string[]}
+ */
+function validateRoutingRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ["routing.rules must be a list"];
+  }
+
+  const problems = [];
+  rules.forEach((rule, index) => {
+    const where = `routing rule ${index + 1}`;
+    if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+
+    const folder = typeof rule.folder === "string" ? rule.folder.trim() : "";
+    const normalized = path.normalize(folder);
+    if (
+      !folder ||
+      path.isAbsolute(folder) ||
+      normalized === ".." ||
+      normalized.startsWith(`..${path.sep}`)
+    ) {
+      problems.push(
+        `${where}: "folder" must be a subfolder of the output directory`
+      );
+    }
+
+    if ("keywords" in rule) {
+      const keywords = toList(rule.keywords);
+      if (
+        keywords.length === 0 ||
+        keywords.some((keyword) => typeof keyword !== "string" || !keyword)
+      ) {
+        problems.push(`${where}: "keywords" must be a label or list of labels`);
+      }
+    }
+    if (
+      "settings" in rule &&
+      (!rule.settings ||
+        typeof rule.settings !== "object" ||
+        Array.isArray(rule.settings))
+    ) {
+      problems.push(`${where}: "settings" must map setting names to values`);
+    }
+    if ("untagged" in rule && typeof rule.untagged !== "boolean") {
+      problems.push(`${where}: "untagged" must be true or false`);
+    }
+
+    const unknown = Object.keys(rule).filter(
+      (key) => key !== "folder" && !CONDITION_KEYS.includes(key)
+    );
+    if (unknown.length > 0) {
+      problems.push(`${where}: unknown condition ${unknown.join(", ")}`);
+    }
+  });
+  return problems;
+}
+
+// "Landscape" matches "Landscape: Beach" as well as "Landscape" itself
+function hasKeyword(keywords, wanted) {
+  const lowerWanted = wanted.toLowerCase().trim();
+  return keywords.some((keyword) => {
+    const lower = keyword.toLowerCase();
+    return lower === lowerWanted || lower.startsWith(`${lowerWanted}:`);
+  });
+}
+
+// Structured settings ("model") first, then infotext keys ("Model")
+function getSetting(settings, name) {
+  if (!settings) return undefined;
+  const value = settings[name] ?? settings.raw?.[name];
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+function ruleMatches(rule, { keywords, promptKeywords, settings }) {
+  if (
+    "keywords" in rule &&
+    !toList(rule.keywords).some((wanted) => hasKeyword(keywords, wanted))
+  ) {
+    return false;
+  }
+
+  if ("settings" in rule) {
+    for (const [name, patterns] of Object.entries(rule.settings)) {
+      const value = getSetting(settings, name);
+      if (
+        value === undefined ||
+        !toList(patterns).some((pattern) => globToRegExp(pattern).test(value))
+      ) {
+        return false;
+      }
+    }
+  }
+
+  if ("untagged" in rule && rule.untagged !== (promptKeywords.length === 0)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Picks the output subfolder for a processed image: the folder of the first
+ * routing rule whose conditions all hold. A rule may check
+ *
+ *   keywords  a label or list of labels, any of which must be present
+ *             (a category such as "Landscape" matches its labels too)
+ *   settings  { name: pattern } generation settings, `*` as wildcard
+ *   untagged  true when the prompts matched no keyword
+ *
+ * @param {Array<Object>} rules `routing.rules` from the config, checked
+ *        with validateRoutingRules when it was loaded
+ * @param {Object} context
+ * @param {string[]} context.keywords All keywords of the image
+ * @param {string[]} context.promptKeywords Keywords matched in the prompts
+ * @param {Object|null} context.settings Generation settings
+ * @returns {{folder: string, rule: number}|null} `rule` is the 1-based
+ *          rule number; null when no rule matches
+ */
+function resolveRoute(rules = [], context) {
+  const index = rules.findIndex((rule) => ruleMatches(rule, context));
+  return index === -1
+    ? null
+    : { folder: rules[index].folder.trim(), rule: index + 1 };
+}
+
+module.exports = {
+  validateRoutingRules,
+  resolveRoute,
+};
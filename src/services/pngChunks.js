@@ -0,0 +1,122 @@
+// src/services/pngChunks.js
+"use strict";
+
+const fs = require("fs").promises;
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const TEXT_CHUNK_TYPES = ["tEXt", "iTXt", "zTXt"];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function parseChunks(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    chunks.push({
+      type,
+      data: buffer.subarray(offset + 8, end - 4),
+      raw: buffer.subarray(offset, end),
+    });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  return chunks;
+}
+
+function chunkKeyword(chunk) {
+  const nul = chunk.data.indexOf(0);
+  return chunk.data.toString("latin1", 0, nul === -1 ? undefined : nul);
+}
+
+function buildChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])));
+  return Buffer.concat([header, data, crc]);
+}
+
+// tEXt for plain ASCII, otherwise uncompressed UTF-8 iTXt, which every
+// reader decodes the same way
+function buildTextChunk(keyword, text) {
+  const keywordBytes = Buffer.from(keyword, "latin1");
+  if (/^[\x00-\x7f]*$/.test(text)) {
+    return buildChunk(
+      "tEXt",
+      Buffer.concat([
+        keywordBytes,
+        Buffer.from([0]),
+        Buffer.from(text, "latin1"),
+      ])
+    );
+  }
+  return buildChunk(
+    "iTXt",
+    Buffer.concat([
+      keywordBytes,
+      // null separator, no compression, compression method, empty language
+      // tag and translated keyword
+      Buffer.from([0, 0, 0, 0, 0]),
+      Buffer.from(text, "utf8"),
+    ])
+  );
+}
+
+/**
+ * Removes and adds PNG text chunks in place. Removed keywords cover tEXt,
+ * iTXt and zTXt chunks; added chunks go right after IHDR so readers that
+ * stop at the image data still find them.
+ *
+ * @param {string} filePath
+ * @param {Object} changes
+ * @param {string[]} [changes.remove] Keywords to drop
+ * @param {Array<{keyword: string, text: string}>} [changes.add]
+ */
+async function rewriteTextChunks(filePath, { remove = [], add = [] } = {}) {
+  const chunks = parseChunks(await fs.readFile(filePath));
+  const dropped = new Set([...remove, ...add.map((chunk) => chunk.keyword)]);
+
+  const output = [PNG_SIGNATURE];
+  for (const chunk of chunks) {
+    if (
+      TEXT_CHUNK_TYPES.includes(chunk.type) &&
+      dropped.has(chunkKeyword(chunk))
+    ) {
+      continue;
+    }
+    output.push(chunk.raw);
+    if (chunk.type === "IHDR") {
+      output.push(
+        ...add.map(({ keyword, text }) => buildTextChunk(keyword, text))
+      );
+    }
+  }
+
+  await fs.writeFile(filePath, Buffer.concat(output));
+}
+
+module.exports = {
+  rewriteTextChunks,
+};
@@ -1,6 +1,7 @@
 const fs = require("fs").promises;
 const path = require("path");
 const ProcessingMode = require("./ProcessingMode");
+const { isSupportedImage } = require("../../services/imageFormats");
 const { logInfo, logDebug, logWarning } = require("../../services/logger");
 
 class BatchMode extends ProcessingMode {
@@ -25,10 +26,10 @@ class BatchMode extends ProcessingMode {
     }
   }
 
-  async getPngFiles() {
+  async getImageFiles() {
     try {
       const files = await fs.readdir(this.directoryPath);
-      return files.filter((file) => file.toLowerCase().endsWith(".png"));
+      return files.filter((file) => isSupportedImage(file));
     } catch (error) {
       this.handleError("FileSearch", error);
       throw error;
@@ -37,21 +38,24 @@ class BatchMode extends ProcessingMode {
 
   async processAllFiles() {
     try {
-      const pngFiles = await this.getPngFiles();
-      this.totalFiles = pngFiles.length;
+      const imageFiles = await this.getImageFiles();
+      this.totalFiles = imageFiles.length;
       this.processedCount = 0;
       this.isProcessing = true;
 
       if (this.totalFiles === 0) {
-        logWarning("BatchMode", "No PNG files found in directory", {
+        logWarning("BatchMode", "No image files found in directory", {
           path: this.directoryPath,
         });
         return;
       }
 
-      logInfo("BatchMode", `Starting to process ${this.totalFiles} PNG files`);
+      logInfo(
+        "BatchMode",
+        `Starting to process ${this.totalFiles} image files`
+      );
 
-      for (const filename of pngFiles) {
+      for (const filename of imageFiles) {
         if (!this.isActive) {
           logInfo("BatchMode", "Processing stopped by user");
           break;
@@ -2,9 +2,40 @@
 "use strict";
 
 class BasePromptStrategy {
+  /**
+   * @param {Object} metadata sharp metadata for the image
+   * @param {Object} logger
+   * @returns {Array<Object>|{ prompts: Array<Object>, settings?: Object }|null}
+   *          Either the prompts found, or the prompts plus the generation
+   *          settings that produced them. `null` when the format isn't present.
+   */
   extractPrompt(metadata, logger) {
     throw new Error("extractPrompt method must be implemented by subclass");
   }
+
+  findComment(metadata, keyword) {
+    const wanted = keyword.toLowerCase();
+    return metadata.comments?.find(
+      (comment) => comment.keyword?.toLowerCase() === wanted
+    );
+  }
+
+  /**
+   * Parses a text chunk as a JSON object. Returns null for anything that
+   * isn't a JSON object, so callers can use it as a format check.
+   */
+  parseJsonComment(comment) {
+    const text = comment?.text?.trim();
+    if (!text || !text.startsWith("{")) return null;
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === "object" && !Array.isArray(parsed)
+        ? parsed
+        : null;
+    } catch {
+      return null;
+    }
+  }
 }
 
 module.exports = BasePromptStrategy;
@@ -0,0 +1,105 @@
+// src/services/promptExtraction/metadataReader.js
+"use strict";
+
+const sharp = require("sharp");
+const exifToolService = require("../exifToolService");
+const { getInputFormat } = require("../imageFormats");
+const { logDebug } = require("../logger");
+
+// EXIF/XMP tags that generators use to carry prompt data outside PNG text
+// chunks: A1111/Forge/SwarmUI write their infotext to UserComment, ComfyUI
+// stores "prompt:{...}" and "workflow:{...}" in IFD0 Make/Model
+const EXIF_TAG_ARGS = [
+  "-EXIF:UserComment",
+  "-EXIF:ImageDescription",
+  "-EXIF:Make",
+  "-EXIF:Model",
+  "-EXIF:Software",
+  "-XMP:all",
+];
+
+// "prompt:{...}" / "workflow:{...}" as written by ComfyUI for WebP
+const KEYED_JSON_PATTERN = /^([A-Za-z_][\w-]*):\s*(\{[\s\S]*\})\s*$/;
+
+// XMP tags whose values are read as a text chunk of the same name
+const XMP_CHUNK_TAGS = {
+  parameters: "parameters",
+  prompt: "prompt",
+  workflow: "workflow",
+  usercomment: "parameters",
+};
+
+function toText(value) {
+  if (value === undefined || value === null) return "";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+}
+
+/**
+ * Builds PNG-style `{ keyword, text }` comments from EXIF and XMP tags, so
+ * every extraction strategy can read JPEG and WebP files unchanged.
+ */
+function commentsFromTags(tags) {
+  const comments = [];
+  const addComment = (keyword, text) => {
+    if (!text || comments.some((comment) => comment.keyword === keyword)) {
+      return;
+    }
+    comments.push({ keyword, text });
+  };
+
+  for (const [name, value] of Object.entries(tags)) {
+    const [group, tagName] = name.split(":");
+    if (!tagName) continue;
+    const text = toText(value).trim();
+    if (!text) continue;
+
+    const keyed = text.match(KEYED_JSON_PATTERN);
+    if (keyed) {
+      addComment(keyed[1].toLowerCase(), keyed[2]);
+      continue;
+    }
+
+    if (tagName === "UserComment") {
+      addComment("parameters", text);
+    } else if (tagName === "Software" && group === "IFD0") {
+      addComment("Software", text);
+    } else if (group.startsWith("XMP")) {
+      const keyword = XMP_CHUNK_TAGS[tagName.toLowerCase()];
+      if (keyword) addComment(keyword, text);
+    }
+  }
+
+  return comments;
+}
+
+/**
+ * Reads sharp metadata for an image and makes sure `comments` holds the
+ * prompt data, whatever container it was stored in.
+ *
+ * @param {string} filePath
+ * @returns {Promise<Object>} sharp metadata with a `comments` array
+ */
+async function readImageMetadata(filePath) {
+  const metadata = await sharp(filePath).metadata();
+  const comments = [...(metadata.comments || [])];
+
+  if (getInputFormat(filePath) !== "png" || comments.length === 0) {
+    const tags = await exifToolService.readTags(filePath, EXIF_TAG_ARGS);
+    for (const comment of commentsFromTags(tags)) {
+      if (!comments.some((existing) => existing.keyword === comment.keyword)) {
+        comments.push(comment);
+      }
+    }
+    logDebug("MetadataReader", "Read prompt data from EXIF/XMP", {
+      filePath,
+      keywords: comments.map((comment) => comment.keyword),
+    });
+  }
+
+  return { ...metadata, comments };
+}
+
+module.exports = {
+  readImageMetadata,
+  commentsFromTags,
+};
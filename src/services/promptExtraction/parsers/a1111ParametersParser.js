@@ -0,0 +1,263 @@
+// src/services/promptExtraction/parsers/a1111ParametersParser.js
+"use strict";
+
+// Same key/value grammar A1111 uses to read its own infotext back in:
+// `Key: value` pairs separated by commas, values optionally double-quoted
+const PARAM_PATTERN = /\s*([\w ]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g;
+const SIZE_PATTERN = /^(\d+)x(\d+)$/;
+const NEGATIVE_PREFIX = "Negative prompt:";
+
+// Infotext key -> settings property, with the value type to coerce to
+const KNOWN_SETTINGS = {
+  Steps: ["steps", "integer"],
+  Sampler: ["sampler", "string"],
+  "Schedule type": ["scheduleType", "string"],
+  "CFG scale": ["cfgScale", "number"],
+  Seed: ["seed", "string"],
+  Size: ["size", "string"],
+  "Model hash": ["modelHash", "string"],
+  Model: ["model", "string"],
+  VAE: ["vae", "string"],
+  "VAE hash": ["vaeHash", "string"],
+  "Denoising strength": ["denoisingStrength", "number"],
+  "Clip skip": ["clipSkip", "integer"],
+  "Hires upscale": ["hiresUpscale", "number"],
+  "Hires resize": ["hiresResize", "string"],
+  "Hires steps": ["hiresSteps", "integer"],
+  "Hires upscaler": ["hiresUpscaler", "string"],
+  "Lora hashes": ["loraHashes", "hashes"],
+  "TI hashes": ["embeddingHashes", "hashes"],
+  Version: ["version", "string"],
+};
+
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  return trimmed;
+}
+
+function parseHashes(value) {
+  // "name1: abc123, name2: def456"
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .reduce((acc, entry) => {
+      const separator = entry.lastIndexOf(":");
+      if (separator > 0) {
+        acc[entry.slice(0, separator).trim()] = entry
+          .slice(separator + 1)
+          .trim();
+      }
+      return acc;
+    }, {});
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case "integer": {
+      const parsed = parseInt(value, 10);
+      return Number.isNaN(parsed) ? value : parsed;
+    }
+    case "number": {
+      const parsed = parseFloat(value);
+      return Number.isNaN(parsed) ? value : parsed;
+    }
+    case "hashes":
+      return parseHashes(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parses the settings line of an A1111/Forge infotext
+ * ("Steps: 20, Sampler: Euler a, ...") into a structured object.
+ * Unknown keys are kept in `extra` under their original names.
+ */
+function parseSettingsLine(line) {
+  const settings = { extra: {} };
+  const raw = {};
+
+  for (const match of line.matchAll(PARAM_PATTERN)) {
+    const key = match[1].trim();
+    if (!key) continue;
+    const value = unquote(match[2]);
+    raw[key] = value;
+
+    const known = KNOWN_SETTINGS[key];
+    if (known) {
+      const [property, type] = known;
+      settings[property] = coerce(value, type);
+    } else {
+      settings.extra[key] = value;
+    }
+  }
+
+  const size =
+    typeof settings.size === "string" && settings.size.match(SIZE_PATTERN);
+  if (size) {
+    settings.width = parseInt(size[1], 10);
+    settings.height = parseInt(size[2], 10);
+  }
+
+  if (
+    settings.hiresUpscale !== undefined ||
+    settings.hiresSteps !== undefined ||
+    settings.hiresUpscaler !== undefined ||
+    settings.hiresResize !== undefined
+  ) {
+    settings.hires = {
+      upscale: settings.hiresUpscale,
+      resize: settings.hiresResize,
+      steps: settings.hiresSteps,
+      upscaler: settings.hiresUpscaler,
+    };
+  }
+
+  // A1111/Forge only write a denoising strength for txt2img when there is
+  // a hires pass, so without one it marks img2img or inpainting
+  settings.fromSourceImage =
+    settings.denoisingStrength !== undefined && !settings.hires;
+
+  settings.raw = raw;
+  settings.settingsLine = line.trim();
+  return settings;
+}
+
+function stringifyValue(value) {
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([name, hash]) => `${name}: ${hash}`)
+      .join(", ");
+  }
+  return String(value);
+}
+
+// Quotes values that would otherwise break the settings line grammar
+function formatValue(value) {
+  const text = stringifyValue(value);
+  return /[,:"]/.test(text) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Builds a settings object in the same shape `parseSettingsLine` produces
+ * from generator-specific values, so every strategy reports settings the
+ * same way. `raw` and `settingsLine` are filled in A1111 infotext form.
+ * `values.fromSourceImage` is kept when the generator says whether the
+ * image was made from a source image (img2img, inpainting).
+ *
+ * @param {Object} values Settings keyed by property name (steps, sampler, ...)
+ * @returns {Object|null} `null` when no values were given
+ */
+function buildSettings(values) {
+  const settings = { extra: {} };
+  const raw = {};
+
+  const source = {
+    ...values,
+    size:
+      values.size ||
+      (values.width && values.height
+        ? `${values.width}x${values.height}`
+        : undefined),
+  };
+
+  for (const [key, [property]] of Object.entries(KNOWN_SETTINGS)) {
+    const value = source[property];
+    if (value === undefined || value === null || value === "") continue;
+    settings[property] = value;
+    raw[key] = value;
+  }
+
+  if (settings.size) {
+    const size = String(settings.size).match(SIZE_PATTERN);
+    if (size) {
+      settings.width = parseInt(size[1], 10);
+      settings.height = parseInt(size[2], 10);
+    }
+  }
+
+  if (Object.keys(raw).length === 0) return null;
+
+  if (values.negativePrompt) {
+    settings.negativePrompt = values.negativePrompt;
+  }
+  if (typeof values.fromSourceImage === "boolean") {
+    settings.fromSourceImage = values.fromSourceImage;
+  }
+
+  settings.raw = Object.fromEntries(
+    Object.entries(raw).map(([key, value]) => [key, stringifyValue(value)])
+  );
+  settings.settingsLine = Object.entries(raw)
+    .map(([key, value]) => `${key}: ${formatValue(value)}`)
+    .join(", ");
+  return settings;
+}
+
+function looksLikeSettingsLine(line) {
+  const matches = [...line.matchAll(PARAM_PATTERN)].filter((match) =>
+    match[1].trim()
+  );
+  return matches.length >= 3;
+}
+
+/**
+ * Splits a full A1111/Forge "parameters" chunk into positive prompt,
+ * negative prompt and structured generation settings.
+ *
+ * @param {string} text The raw infotext
+ * @returns {{ positivePrompt: string, negativePrompt: string, settings: Object|null }}
+ */
+function parseParameters(text) {
+  const lines = String(text).trim().split(/\r?\n/);
+
+  // A single-line chunk is only treated as settings when it starts with
+  // "Steps:", so a bare prompt with colons in it isn't swallowed
+  let settings = null;
+  const lastLine = lines[lines.length - 1] || "";
+  if (
+    lastLine.trim().startsWith("Steps:") ||
+    (lines.length > 1 && looksLikeSettingsLine(lastLine))
+  ) {
+    settings = parseSettingsLine(lastLine);
+    lines.pop();
+  }
+
+  const positiveLines = [];
+  const negativeLines = [];
+  let inNegative = false;
+
+  for (const line of lines) {
+    if (!inNegative && line.trim().startsWith(NEGATIVE_PREFIX)) {
+      inNegative = true;
+      negativeLines.push(line.trim().slice(NEGATIVE_PREFIX.length));
+    } else if (inNegative) {
+      negativeLines.push(line);
+    } else {
+      positiveLines.push(line);
+    }
+  }
+
+  const positivePrompt = positiveLines.join("\n").trim();
+  const negativePrompt = negativeLines.join("\n").trim();
+
+  if (settings && negativePrompt) {
+    settings.negativePrompt = negativePrompt;
+  }
+
+  return { positivePrompt, negativePrompt, settings };
+}
+
+module.exports = {
+  parseParameters,
+  parseSettingsLine,
+  buildSettings,
+};
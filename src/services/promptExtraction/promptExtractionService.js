@@ -16,18 +16,22 @@ class PromptExtractionService {
           `Trying strategy: ${Strategy.identifier}`
         );
 
-        const result = strategy.extractPrompt(metadata, this.logger);
+        const result = this.normalizeResult(
+          strategy.extractPrompt(metadata, this.logger)
+        );
         if (result) {
           this.logger?.logDebug(
             "PromptExtraction",
             `Strategy ${Strategy.identifier} succeeded`,
             {
-              promptCount: result.length,
+              promptCount: result.prompts.length,
+              negativePromptCount: result.negativePrompts.length,
+              hasSettings: Boolean(result.settings),
             }
           );
           return {
             strategy: Strategy.identifier,
-            prompts: result,
+            ...result,
           };
         }
       } catch (error) {
@@ -39,6 +43,34 @@ class PromptExtractionService {
     }
     return null;
   }
+
+  /**
+   * Strategies may return a bare prompt array or { prompts, settings }.
+   * Prompts tagged `type: "negative"` are split out into `negativePrompts`,
+   * with `negativePrompt` holding their combined text.
+   */
+  normalizeResult(result) {
+    if (!result) return null;
+    const { prompts: allPrompts, settings = null } = Array.isArray(result)
+      ? { prompts: result }
+      : result;
+    if (!Array.isArray(allPrompts)) return null;
+
+    const prompts = allPrompts.filter((prompt) => prompt.type !== "negative");
+    const negativePrompts = allPrompts.filter(
+      (prompt) => prompt.type === "negative"
+    );
+    if (prompts.length === 0) return null;
+
+    return {
+      prompts,
+      negativePrompts,
+      negativePrompt: negativePrompts
+        .map((prompt) => prompt.originalText)
+        .join("\n"),
+      settings: settings || null,
+    };
+  }
 }
 
 module.exports = PromptExtractionService;
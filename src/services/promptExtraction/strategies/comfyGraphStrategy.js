@@ -0,0 +1,293 @@
+// src/services/promptExtraction/strategies/comfyGraphStrategy.js
+"use strict";
+
+const BasePromptStrategy = require("../baseStrategy");
+
+// Inputs that carry conditioning from one node to the next
+const CONDITIONING_INPUTS = [
+  "conditioning",
+  "conditioning_1",
+  "conditioning_2",
+  "conditioning_to",
+  "conditioning_from",
+  "cond1",
+  "cond2",
+];
+
+// Inputs that hold prompt text, in order of preference
+const TEXT_INPUTS = [
+  "populated_text",
+  "text",
+  "text_g",
+  "text_l",
+  "t5xxl",
+  "clip_l",
+  "string",
+  "value",
+  "prompt",
+];
+
+// Inputs that text-combine nodes join together
+const COMBINE_INPUT_PATTERN = /^(text|string)_?[a-z0-9]+$/i;
+
+const DEFAULT_DELIMITER = ", ";
+
+class ComfyGraphStrategy extends BasePromptStrategy {
+  static identifier = "comfyGraph";
+
+  extractPrompt(metadata, logger) {
+    const promptComment = metadata.comments?.find(
+      (comment) => comment.keyword === "prompt"
+    );
+    if (!promptComment) {
+      logger?.logDebug("ComfyGraphStrategy", "No prompt comment found");
+      return null;
+    }
+
+    let graph;
+    try {
+      graph = JSON.parse(promptComment.text);
+    } catch (error) {
+      logger?.logError("ComfyGraphStrategy", error, {
+        context: "JSON parsing",
+      });
+      return null;
+    }
+
+    if (!graph || typeof graph !== "object") {
+      return null;
+    }
+
+    const samplerIds = Object.keys(graph).filter((id) =>
+      this.isSampler(graph[id])
+    );
+    if (samplerIds.length === 0) {
+      logger?.logDebug("ComfyGraphStrategy", "No sampler nodes found in graph");
+      return null;
+    }
+
+    const finalSamplerIds = this.findFinalSamplerIds(graph, samplerIds);
+    const prompts = [];
+    const seen = new Map();
+
+    for (const samplerId of samplerIds) {
+      const { positive, negative } = this.getSamplerConditioning(
+        graph,
+        samplerId
+      );
+
+      for (const [type, link] of [
+        ["positive", positive],
+        ["negative", negative],
+      ]) {
+        if (!link) continue;
+
+        const nodeIds = [];
+        const text = this.resolveConditioning(graph, link, new Set(), nodeIds);
+        if (!text) continue;
+
+        // A refiner usually reuses the base prompt; keep one entry but
+        // remember that it also feeds the final sampler
+        const dedupeKey = `${type}:${text}`;
+        if (seen.has(dedupeKey)) {
+          if (finalSamplerIds.has(samplerId)) {
+            seen.get(dedupeKey).finalSampler = true;
+          }
+          continue;
+        }
+
+        const prompt = {
+          entryKey: `${samplerId}:${type}`,
+          originalText: text,
+          type,
+          samplerId,
+          nodeIds,
+          nodeTitles: nodeIds
+            .map((nodeId) => graph[nodeId]?._meta?.title)
+            .filter(Boolean),
+          finalSampler: finalSamplerIds.has(samplerId),
+        };
+        seen.set(dedupeKey, prompt);
+        prompts.push(prompt);
+      }
+    }
+
+    logger?.logDebug("ComfyGraphStrategy", "Resolved sampler prompts", {
+      samplers: samplerIds,
+      promptCount: prompts.length,
+    });
+
+    if (!prompts.some((prompt) => prompt.type === "positive")) {
+      logger?.logDebug(
+        "ComfyGraphStrategy",
+        "No positive prompt reachable from any sampler"
+      );
+      return null;
+    }
+
+    return prompts;
+  }
+
+  isSampler(node) {
+    if (!node?.class_type || !node.inputs) return false;
+    if (!/sampler/i.test(node.class_type)) return false;
+    return this.isLink(node.inputs.positive) || this.isLink(node.inputs.guider);
+  }
+
+  /**
+   * Samplers whose output isn't fed into another sampler, e.g. the refiner
+   * or hires pass rather than the base pass.
+   */
+  findFinalSamplerIds(graph, samplerIds) {
+    const upstreamSamplers = new Set();
+
+    for (const samplerId of samplerIds) {
+      const visited = new Set([samplerId]);
+      const pending = [samplerId];
+      while (pending.length > 0) {
+        const node = graph[pending.pop()];
+        for (const value of Object.values(node?.inputs || {})) {
+          if (!this.isLink(value)) continue;
+          const upstreamId = String(value[0]);
+          if (visited.has(upstreamId)) continue;
+          visited.add(upstreamId);
+          pending.push(upstreamId);
+          if (samplerIds.includes(upstreamId)) {
+            upstreamSamplers.add(upstreamId);
+          }
+        }
+      }
+    }
+
+    return new Set(samplerIds.filter((id) => !upstreamSamplers.has(id)));
+  }
+
+  /**
+   * Finds the positive/negative conditioning links of a sampler, going
+   * through a guider node for SamplerCustomAdvanced-style samplers.
+   */
+  getSamplerConditioning(graph, samplerId) {
+    const inputs = graph[samplerId].inputs;
+    if (this.isLink(inputs.positive)) {
+      return { positive: inputs.positive, negative: inputs.negative };
+    }
+
+    const guider = graph[inputs.guider[0]];
+    const guiderInputs = guider?.inputs || {};
+    return {
+      positive:
+        guiderInputs.positive ||
+        guiderInputs.conditioning ||
+        guiderInputs.cond1,
+      negative: guiderInputs.negative,
+    };
+  }
+
+  resolveConditioning(graph, link, visited, nodeIds) {
+    if (!this.isLink(link)) return "";
+
+    const [nodeId, outputIndex] = link;
+    const node = graph[nodeId];
+    if (!node || visited.has(`${nodeId}:${outputIndex}`)) return "";
+    visited.add(`${nodeId}:${outputIndex}`);
+
+    const inputs = node.inputs || {};
+
+    // ControlNetApplyAdvanced and friends pass positive on output 0 and
+    // negative on output 1
+    if (this.isLink(inputs.positive) || this.isLink(inputs.negative)) {
+      const passthrough = outputIndex === 1 ? inputs.negative : inputs.positive;
+      return this.resolveConditioning(graph, passthrough, visited, nodeIds);
+    }
+
+    const text = this.resolveTextInputs(graph, node, visited);
+    if (text) {
+      nodeIds.push(nodeId);
+      return text;
+    }
+
+    // Combine/concat/area nodes: follow every conditioning input
+    const parts = CONDITIONING_INPUTS.filter((name) =>
+      this.isLink(inputs[name])
+    )
+      .map((name) =>
+        this.resolveConditioning(graph, inputs[name], visited, nodeIds)
+      )
+      .filter(Boolean);
+
+    if (parts.length > 0) {
+      return parts.join(DEFAULT_DELIMITER);
+    }
+
+    // Reroutes and unknown single-input passthrough nodes
+    const links = Object.values(inputs).filter((value) => this.isLink(value));
+    if (links.length === 1) {
+      return this.resolveConditioning(graph, links[0], visited, nodeIds);
+    }
+
+    return "";
+  }
+
+  /**
+   * Resolves the prompt text held by an encoder or text node, following
+   * links into primitives, reroutes and text-combine nodes.
+   */
+  resolveTextInputs(graph, node, visited) {
+    const inputs = node.inputs || {};
+
+    for (const name of TEXT_INPUTS) {
+      if (!(name in inputs)) continue;
+      const text = this.resolveText(graph, inputs[name], visited);
+      if (text) return text;
+    }
+
+    const combineNames = Object.keys(inputs)
+      .filter((name) => COMBINE_INPUT_PATTERN.test(name))
+      // string_2 before string_10
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    if (combineNames.length > 0) {
+      const delimiter =
+        typeof inputs.delimiter === "string"
+          ? inputs.delimiter
+          : DEFAULT_DELIMITER;
+      return combineNames
+        .map((name) => this.resolveText(graph, inputs[name], visited))
+        .filter(Boolean)
+        .join(delimiter);
+    }
+
+    return "";
+  }
+
+  resolveText(graph, value, visited) {
+    if (typeof value === "string") {
+      return value.trim();
+    }
+    if (!this.isLink(value)) return "";
+
+    const [nodeId] = value;
+    const node = graph[nodeId];
+    if (!node || visited.has(`text:${nodeId}`)) return "";
+    visited.add(`text:${nodeId}`);
+
+    const text = this.resolveTextInputs(graph, node, visited);
+    if (text) return text;
+
+    // Reroute-style nodes with a single linked input
+    const links = Object.values(node.inputs || {}).filter((input) =>
+      this.isLink(input)
+    );
+    return links.length === 1 ? this.resolveText(graph, links[0], visited) : "";
+  }
+
+  isLink(value) {
+    return (
+      Array.isArray(value) &&
+      value.length === 2 &&
+      (typeof value[0] === "string" || typeof value[0] === "number") &&
+      typeof value[1] === "number"
+    );
+  }
+}
+
+module.exports = ComfyGraphStrategy;
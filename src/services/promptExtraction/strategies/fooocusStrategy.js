@@ -0,0 +1,110 @@
+// src/services/promptExtraction/strategies/fooocusStrategy.js
+"use strict";
+
+const BasePromptStrategy = require("../baseStrategy");
+const { buildSettings } = require("../parsers/a1111ParametersParser");
+
+const RESOLUTION_PATTERN = /(\d+)\D+(\d+)/;
+
+class FooocusStrategy extends BasePromptStrategy {
+  static identifier = "fooocus";
+
+  extractPrompt(metadata, logger) {
+    const scheme = this.findComment(metadata, "fooocus_scheme");
+    const parameters = this.parseJsonComment(
+      this.findComment(metadata, "parameters")
+    );
+
+    if (!parameters) {
+      logger?.logDebug("FooocusStrategy", "No JSON parameters comment found");
+      return null;
+    }
+
+    // Fooocus writes its own JSON scheme into `parameters`; with the a1111
+    // scheme selected the chunk is plain infotext and ParametersStrategy
+    // handles it instead
+    const data = this.normalizeKeys(parameters);
+    const isFooocus =
+      scheme?.text?.trim().toLowerCase() === "fooocus" ||
+      data.metadata_scheme === "fooocus" ||
+      /fooocus/i.test(String(data.version || "")) ||
+      "full_prompt" in data;
+    if (!isFooocus) {
+      logger?.logDebug("FooocusStrategy", "Parameters JSON is not Fooocus");
+      return null;
+    }
+
+    const positivePrompt = String(data.prompt || "").trim();
+    if (!positivePrompt) {
+      logger?.logDebug("FooocusStrategy", "No prompt text found");
+      return null;
+    }
+
+    const prompts = [
+      { entryKey: "primary", originalText: positivePrompt, type: "positive" },
+    ];
+
+    // full_prompt holds the prompt after style and expansion processing
+    const fullPrompt = Array.isArray(data.full_prompt)
+      ? data.full_prompt.join(", ").trim()
+      : "";
+    if (fullPrompt && fullPrompt !== positivePrompt) {
+      prompts.push({
+        entryKey: "full",
+        originalText: fullPrompt,
+        type: "positive",
+      });
+    }
+
+    const negativePrompt = String(data.negative_prompt || "").trim();
+    if (negativePrompt) {
+      prompts.push({
+        entryKey: "negative",
+        originalText: negativePrompt,
+        type: "negative",
+      });
+    }
+
+    const resolution = String(data.resolution || "").match(RESOLUTION_PATTERN);
+    const loraHashes = (Array.isArray(data.loras) ? data.loras : []).reduce(
+      (acc, lora) => {
+        // [name, weight, hash]
+        if (Array.isArray(lora) && lora[0] && lora[2]) {
+          acc[lora[0]] = lora[2];
+        }
+        return acc;
+      },
+      {}
+    );
+
+    const settings = buildSettings({
+      steps: data.steps,
+      sampler: data.sampler,
+      scheduleType: data.scheduler,
+      cfgScale: data.guidance_scale,
+      seed: data.seed !== undefined ? String(data.seed) : undefined,
+      width: resolution ? parseInt(resolution[1], 10) : undefined,
+      height: resolution ? parseInt(resolution[2], 10) : undefined,
+      model: data.base_model,
+      modelHash: data.base_model_hash,
+      vae: data.vae,
+      loraHashes: Object.keys(loraHashes).length > 0 ? loraHashes : undefined,
+      version: data.version,
+      negativePrompt,
+    });
+
+    return { prompts, settings };
+  }
+
+  // Older Fooocus logs used "Negative Prompt", "Base Model", ... as keys
+  normalizeKeys(data) {
+    return Object.fromEntries(
+      Object.entries(data).map(([key, value]) => [
+        key.trim().toLowerCase().replace(/\s+/g, "_"),
+        value,
+      ])
+    );
+  }
+}
+
+module.exports = FooocusStrategy;
@@ -0,0 +1,143 @@
+// src/services/promptExtraction/strategies/invokeAiStrategy.js
+"use strict";
+
+const BasePromptStrategy = require("../baseStrategy");
+const { buildSettings } = require("../parsers/a1111ParametersParser");
+
+// InvokeAI 2.x folded the negative prompt into the prompt as "[negative]"
+const LEGACY_NEGATIVE_PATTERN = /\[([^\]]*)\]/g;
+
+class InvokeAiStrategy extends BasePromptStrategy {
+  static identifier = "invokeai";
+
+  extractPrompt(metadata, logger) {
+    const current = this.parseJsonComment(
+      this.findComment(metadata, "invokeai_metadata")
+    );
+    if (current) {
+      return this.extractCurrent(current, logger);
+    }
+
+    const legacy = this.parseJsonComment(
+      this.findComment(metadata, "sd-metadata")
+    );
+    if (legacy) {
+      return this.extractLegacy(legacy, logger);
+    }
+
+    logger?.logDebug("InvokeAiStrategy", "No InvokeAI metadata found");
+    return null;
+  }
+
+  // InvokeAI 3.x+ `invokeai_metadata` chunk
+  extractCurrent(data, logger) {
+    const positivePrompt = (data.positive_prompt || "").trim();
+    if (!positivePrompt) {
+      logger?.logDebug("InvokeAiStrategy", "No positive_prompt in metadata");
+      return null;
+    }
+
+    const prompts = [
+      { entryKey: "primary", originalText: positivePrompt, type: "positive" },
+    ];
+    const negativePrompt = (data.negative_prompt || "").trim();
+    this.pushIfPresent(
+      prompts,
+      "style",
+      data.positive_style_prompt,
+      "positive"
+    );
+    this.pushIfPresent(prompts, "negative", negativePrompt, "negative");
+    this.pushIfPresent(
+      prompts,
+      "negative_style",
+      data.negative_style_prompt,
+      "negative"
+    );
+
+    const loraHashes = (data.loras || []).reduce((acc, entry) => {
+      const lora = entry.lora || entry.model || {};
+      const name = lora.name || lora.model_name || lora.key;
+      if (name) acc[name] = lora.hash || lora.key || "";
+      return acc;
+    }, {});
+
+    const settings = buildSettings({
+      steps: data.steps,
+      sampler: data.scheduler,
+      cfgScale: data.cfg_scale,
+      seed: data.seed !== undefined ? String(data.seed) : undefined,
+      width: data.width,
+      height: data.height,
+      model: data.model?.name || data.model?.model_name,
+      modelHash: data.model?.hash,
+      vae: data.vae?.name || data.vae?.model_name,
+      denoisingStrength: data.strength,
+      // "img2img", "inpaint", "outpaint", "sdxl_img2img"...; older 3.x
+      // metadata names the init image instead
+      fromSourceImage: data.generation_mode
+        ? !/txt2img/i.test(data.generation_mode)
+        : Boolean(data.init_image),
+      loraHashes: Object.keys(loraHashes).length > 0 ? loraHashes : undefined,
+      version: data.app_version,
+      negativePrompt,
+    });
+
+    return { prompts, settings };
+  }
+
+  // InvokeAI 2.x `sd-metadata` chunk
+  extractLegacy(data, logger) {
+    const image = data.image || {};
+    const rawPrompt = Array.isArray(image.prompt)
+      ? image.prompt.map((entry) => entry.prompt).join(", ")
+      : image.prompt || "";
+
+    const negativeParts = [];
+    const positivePrompt = rawPrompt
+      .replace(LEGACY_NEGATIVE_PATTERN, (match, negative) => {
+        negativeParts.push(negative.trim());
+        return "";
+      })
+      .trim();
+
+    if (!positivePrompt) {
+      logger?.logDebug("InvokeAiStrategy", "No prompt in sd-metadata");
+      return null;
+    }
+
+    const prompts = [
+      { entryKey: "primary", originalText: positivePrompt, type: "positive" },
+    ];
+    const negativePrompt = negativeParts.filter(Boolean).join(", ");
+    this.pushIfPresent(prompts, "negative", negativePrompt, "negative");
+
+    const settings = buildSettings({
+      steps: image.steps,
+      sampler: image.sampler,
+      cfgScale: image.cfg_scale,
+      seed: image.seed !== undefined ? String(image.seed) : undefined,
+      width: image.width,
+      height: image.height,
+      model: data.model_weights,
+      modelHash: data.model_hash,
+      denoisingStrength: image.strength,
+      // `strength` is always there; the type and init image aren't
+      fromSourceImage: image.type
+        ? image.type !== "txt2img"
+        : Boolean(image.init_image_path),
+      version: data.app_version,
+      negativePrompt,
+    });
+
+    return { prompts, settings };
+  }
+
+  pushIfPresent(prompts, entryKey, text, type) {
+    if (typeof text === "string" && text.trim()) {
+      prompts.push({ entryKey, originalText: text.trim(), type });
+    }
+  }
+}
+
+module.exports = InvokeAiStrategy;
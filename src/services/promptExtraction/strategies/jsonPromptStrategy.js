@@ -27,6 +27,8 @@ class JsonPromptStrategy extends BasePromptStrategy {
           prompts.push({
             entryKey: key,
             originalText: value.inputs.populated_text,
+            nodeIds: [key],
+            nodeTitles: value._meta?.title ? [value._meta.title] : [],
           });
         }
       }
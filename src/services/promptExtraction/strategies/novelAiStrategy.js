@@ -0,0 +1,96 @@
+// src/services/promptExtraction/strategies/novelAiStrategy.js
+"use strict";
+
+const BasePromptStrategy = require("../baseStrategy");
+const { buildSettings } = require("../parsers/a1111ParametersParser");
+
+class NovelAiStrategy extends BasePromptStrategy {
+  static identifier = "novelai";
+
+  extractPrompt(metadata, logger) {
+    const software = this.findComment(metadata, "Software");
+    const commentChunk = this.findComment(metadata, "Comment");
+    const comment = this.parseJsonComment(commentChunk);
+
+    const isNovelAi =
+      /novelai/i.test(software?.text || "") ||
+      (comment && ("uc" in comment || "v4_prompt" in comment));
+    if (!isNovelAi) {
+      logger?.logDebug("NovelAiStrategy", "No NovelAI metadata found");
+      return null;
+    }
+
+    const description = this.findComment(metadata, "Description");
+    const positivePrompt = (
+      comment?.v4_prompt?.caption?.base_caption ||
+      comment?.prompt ||
+      description?.text ||
+      ""
+    ).trim();
+
+    if (!positivePrompt) {
+      logger?.logDebug("NovelAiStrategy", "No prompt text found");
+      return null;
+    }
+
+    const prompts = [
+      {
+        entryKey: "primary",
+        originalText: positivePrompt,
+        type: "positive",
+      },
+    ];
+
+    // V4 character prompts are kept as their own entries
+    const characters = comment?.v4_prompt?.caption?.char_captions || [];
+    characters.forEach((character, index) => {
+      if (character?.char_caption?.trim()) {
+        prompts.push({
+          entryKey: `character_${index + 1}`,
+          originalText: character.char_caption.trim(),
+          type: "positive",
+        });
+      }
+    });
+
+    const negativePrompt = (
+      comment?.v4_negative_prompt?.caption?.base_caption ||
+      comment?.uc ||
+      ""
+    ).trim();
+    if (negativePrompt) {
+      prompts.push({
+        entryKey: "negative",
+        originalText: negativePrompt,
+        type: "negative",
+      });
+    }
+
+    const source = this.findComment(metadata, "Source");
+    const settings = comment
+      ? buildSettings({
+          steps: comment.steps,
+          sampler: comment.sampler,
+          scheduleType: comment.noise_schedule,
+          cfgScale: comment.scale,
+          seed: comment.seed !== undefined ? String(comment.seed) : undefined,
+          width: comment.width,
+          height: comment.height,
+          model: source?.text,
+          denoisingStrength: comment.strength,
+          // `strength` is in every Comment; img2img and inpainting requests
+          // also record their source image
+          fromSourceImage: Boolean(
+            comment.image ||
+              comment.mask ||
+              /img2img|inpaint/i.test(comment.request_type || "")
+          ),
+          negativePrompt,
+        })
+      : null;
+
+    return { prompts, settings };
+  }
+}
+
+module.exports = NovelAiStrategy;
@@ -2,6 +2,7 @@
 "use strict";
 
 const BasePromptStrategy = require("../baseStrategy");
+const { parseParameters } = require("../parsers/a1111ParametersParser");
 
 class ParametersStrategy extends BasePromptStrategy {
   static identifier = "parameters";
@@ -15,27 +16,49 @@ class ParametersStrategy extends BasePromptStrategy {
       return null;
     }
 
+    // Fooocus and SwarmUI store JSON in the same chunk
+    if (this.parseJsonComment(promptComment)) {
+      logger?.logDebug(
+        "ParametersStrategy",
+        "Parameters comment is JSON, not A1111 infotext"
+      );
+      return null;
+    }
+
     logger?.logDebug("ParametersStrategy", "Found parameters comment", {
       text: promptComment.text,
     });
 
-    const negIndex = promptComment.text.indexOf("Negative prompt:");
-    const positivePrompt =
-      negIndex > -1
-        ? promptComment.text.substring(0, negIndex).trim()
-        : promptComment.text.trim();
+    const { positivePrompt, negativePrompt, settings } = parseParameters(
+      promptComment.text
+    );
 
     if (!positivePrompt) {
       logger?.logDebug("ParametersStrategy", "No positive prompt text found");
       return null;
     }
 
-    return [
+    logger?.logDebug("ParametersStrategy", "Parsed generation settings", {
+      settings,
+    });
+
+    const prompts = [
       {
         entryKey: "primary",
         originalText: positivePrompt,
+        type: "positive",
       },
     ];
+
+    if (negativePrompt) {
+      prompts.push({
+        entryKey: "negative",
+        originalText: negativePrompt,
+        type: "negative",
+      });
+    }
+
+    return { prompts, settings };
   }
 }
 
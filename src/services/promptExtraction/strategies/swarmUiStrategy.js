@@ -0,0 +1,69 @@
+// src/services/promptExtraction/strategies/swarmUiStrategy.js
+"use strict";
+
+const BasePromptStrategy = require("../baseStrategy");
+const { buildSettings } = require("../parsers/a1111ParametersParser");
+
+class SwarmUiStrategy extends BasePromptStrategy {
+  static identifier = "swarmui";
+
+  extractPrompt(metadata, logger) {
+    const params = this.findImageParams(metadata);
+    if (!params) {
+      logger?.logDebug("SwarmUiStrategy", "No sui_image_params found");
+      return null;
+    }
+
+    const positivePrompt = String(params.prompt || "").trim();
+    if (!positivePrompt) {
+      logger?.logDebug("SwarmUiStrategy", "No prompt text found");
+      return null;
+    }
+
+    const prompts = [
+      { entryKey: "primary", originalText: positivePrompt, type: "positive" },
+    ];
+
+    const negativePrompt = String(params.negativeprompt || "").trim();
+    if (negativePrompt) {
+      prompts.push({
+        entryKey: "negative",
+        originalText: negativePrompt,
+        type: "negative",
+      });
+    }
+
+    const settings = buildSettings({
+      steps: params.steps,
+      sampler: params.sampler,
+      scheduleType: params.scheduler,
+      cfgScale: params.cfgscale,
+      seed: params.seed !== undefined ? String(params.seed) : undefined,
+      width: params.width,
+      height: params.height,
+      model: params.model,
+      vae: params.vae,
+      denoisingStrength: params.initimagecreativity,
+      version: params.swarm_version,
+      negativePrompt,
+    });
+
+    return { prompts, settings };
+  }
+
+  // SwarmUI stores { sui_image_params, sui_extra_data } as JSON in the
+  // `parameters` chunk; some exports use a dedicated chunk instead
+  findImageParams(metadata) {
+    const dedicated = this.parseJsonComment(
+      this.findComment(metadata, "sui_image_params")
+    );
+    if (dedicated) return dedicated;
+
+    const parameters = this.parseJsonComment(
+      this.findComment(metadata, "parameters")
+    );
+    return parameters?.sui_image_params || null;
+  }
+}
+
+module.exports = SwarmUiStrategy;
@@ -0,0 +1,172 @@
+// src/services/promptExtraction/strategyRegistry.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const BasePromptStrategy = require("./baseStrategy");
+const ParametersStrategy = require("./strategies/parametersStrategy");
+const JsonPromptStrategy = require("./strategies/jsonPromptStrategy");
+const ComfyGraphStrategy = require("./strategies/comfyGraphStrategy");
+const NovelAiStrategy = require("./strategies/novelAiStrategy");
+const InvokeAiStrategy = require("./strategies/invokeAiStrategy");
+const FooocusStrategy = require("./strategies/fooocusStrategy");
+const SwarmUiStrategy = require("./strategies/swarmUiStrategy");
+const configService = require("../configService");
+const { logInfo, logWarning, logError } = require("../logger");
+
+// Default order; strategies are tried first to last
+const BUILT_IN_STRATEGIES = [
+  ParametersStrategy,
+  JsonPromptStrategy,
+  ComfyGraphStrategy,
+  NovelAiStrategy,
+  InvokeAiStrategy,
+  FooocusStrategy,
+  SwarmUiStrategy,
+];
+
+class StrategyRegistry {
+  constructor() {
+    this.entries = new Map();
+    BUILT_IN_STRATEGIES.forEach((Strategy) =>
+      this.register(Strategy, { source: "builtin" })
+    );
+  }
+
+  isStrategyClass(candidate) {
+    return (
+      typeof candidate === "function" &&
+      candidate.prototype instanceof BasePromptStrategy &&
+      typeof candidate.identifier === "string" &&
+      candidate.identifier.trim() !== ""
+    );
+  }
+
+  register(Strategy, { source = "plugin", file = null } = {}) {
+    if (!this.isStrategyClass(Strategy)) {
+      throw new Error(
+        "Strategy must extend BasePromptStrategy and define a static identifier"
+      );
+    }
+    if (this.entries.has(Strategy.identifier)) {
+      throw new Error(
+        `A strategy with identifier "${Strategy.identifier}" is already registered`
+      );
+    }
+    this.entries.set(Strategy.identifier, { Strategy, source, file });
+  }
+
+  /**
+   * Loads every BasePromptStrategy subclass exported by the .js files in the
+   * configured plugins directory. A plugin file may export a single class,
+   * an array of classes, or an object of classes.
+   */
+  async loadPlugins(pluginsDir = configService.get("extraction.pluginsDir")) {
+    if (!pluginsDir) return;
+
+    const resolvedDir = path.resolve(process.cwd(), pluginsDir);
+    let files;
+    try {
+      files = await fs.readdir(resolvedDir);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logInfo("StrategyRegistry", `No plugins directory at ${resolvedDir}`);
+        return;
+      }
+      logError("StrategyRegistry", error, { pluginsDir: resolvedDir });
+      return;
+    }
+
+    for (const file of files.filter((name) => name.endsWith(".js")).sort()) {
+      const filePath = path.join(resolvedDir, file);
+      try {
+        const exported = require(filePath);
+        const candidates =
+          typeof exported === "function"
+            ? [exported]
+            : Object.values(exported || {});
+        const strategies = candidates.filter((candidate) =>
+          this.isStrategyClass(candidate)
+        );
+
+        if (strategies.length === 0) {
+          logWarning(
+            "StrategyRegistry",
+            `Plugin ${file} exports no BasePromptStrategy subclass`
+          );
+          continue;
+        }
+
+        for (const Strategy of strategies) {
+          this.register(Strategy, { source: "plugin", file: filePath });
+          logInfo(
+            "StrategyRegistry",
+            `Loaded plugin strategy: ${Strategy.identifier}`,
+            { file }
+          );
+        }
+      } catch (error) {
+        logError("StrategyRegistry", error, { plugin: filePath });
+      }
+    }
+
+    this.warnAboutUnknownIdentifiers();
+  }
+
+  warnAboutUnknownIdentifiers() {
+    const configured = [
+      ...(configService.get("extraction.strategyOrder") || []),
+      ...(configService.get("extraction.disabledStrategies") || []),
+    ];
+    for (const identifier of new Set(configured)) {
+      if (!this.entries.has(identifier)) {
+        logWarning(
+          "StrategyRegistry",
+          `Unknown strategy in extraction config: ${identifier}`
+        );
+      }
+    }
+  }
+
+  /**
+   * All registered strategies in configured order. Identifiers listed in
+   * `extraction.strategyOrder` come first; the rest keep registration order.
+   */
+  getOrderedEntries() {
+    const order = [
+      ...new Set(configService.get("extraction.strategyOrder") || []),
+    ];
+    const ordered = order
+      .filter((identifier) => this.entries.has(identifier))
+      .map((identifier) => [identifier, this.entries.get(identifier)]);
+    const remaining = [...this.entries].filter(
+      ([identifier]) => !order.includes(identifier)
+    );
+    return [...ordered, ...remaining];
+  }
+
+  isEnabled(identifier) {
+    const disabled = configService.get("extraction.disabledStrategies") || [];
+    return !disabled.includes(identifier);
+  }
+
+  getActiveStrategies() {
+    return this.getOrderedEntries()
+      .filter(([identifier]) => this.isEnabled(identifier))
+      .map(([, entry]) => entry.Strategy);
+  }
+
+  describe() {
+    return this.getOrderedEntries().map(([identifier, entry]) => ({
+      identifier,
+      source: entry.source,
+      file: entry.file,
+      enabled: this.isEnabled(identifier),
+    }));
+  }
+}
+
+// Create and export a singleton instance
+const strategyRegistry = new StrategyRegistry();
+
+module.exports = strategyRegistry;
@@ -0,0 +1,92 @@
+// src/services/promptSelection.js
+"use strict";
+
+const { logDebug, logWarning } = require("./logger");
+
+const DESCRIPTION_SOURCES = ["first", "longest", "finalSampler", "node", "all"];
+
+function matchesNode(prompt, node) {
+  const wanted = String(node).trim();
+  const title = wanted.toLowerCase();
+  return (
+    String(prompt.entryKey) === wanted ||
+    String(prompt.samplerId) === wanted ||
+    (prompt.nodeIds || []).map(String).includes(wanted) ||
+    (prompt.nodeTitles || []).some(
+      (nodeTitle) => nodeTitle.toLowerCase() === title
+    )
+  );
+}
+
+// Throws for a `description.source` selectDescription doesn't know
+function checkDescriptionSource(source = "first") {
+  if (!DESCRIPTION_SOURCES.includes(source)) {
+    throw new Error(
+      `Unsupported description source "${source}". Use one of: ${DESCRIPTION_SOURCES.join(
+        ", "
+      )}`
+    );
+  }
+}
+
+/**
+ * Picks the text written as the image description when a strategy found
+ * more than one positive prompt.
+ *
+ * @param {Array<Object>} prompts Positive prompts from the extraction result
+ * @param {Object} [options]
+ * @param {string} [options.source] "first", "longest", "finalSampler",
+ *   "node" or "all"
+ * @param {string} [options.node] Node id, entry key or node title for "node"
+ * @param {string} [options.separator] Placed between prompts for "all"
+ * @returns {string}
+ */
+function selectDescription(prompts, options = {}) {
+  const { source = "first", node = "", separator = "\n\n" } = options;
+
+  checkDescriptionSource(source);
+  if (prompts.length === 1) return prompts[0].originalText;
+
+  let selected = null;
+  switch (source) {
+    case "longest":
+      selected = prompts.reduce((longest, prompt) =>
+        prompt.originalText.length > longest.originalText.length
+          ? prompt
+          : longest
+      );
+      break;
+    case "finalSampler":
+      selected = prompts.find((prompt) => prompt.finalSampler);
+      if (!selected) {
+        logDebug(
+          "PromptSelection",
+          "No prompt is linked to a final sampler, using the first prompt"
+        );
+      }
+      break;
+    case "node":
+      selected = node && prompts.find((prompt) => matchesNode(prompt, node));
+      if (!selected) {
+        logWarning(
+          "PromptSelection",
+          `No prompt found for description node "${node}", using the first prompt`
+        );
+      }
+      break;
+    case "all":
+      return [...new Set(prompts.map((prompt) => prompt.originalText))].join(
+        separator
+      );
+    default:
+      break;
+  }
+
+  return (selected || prompts[0]).originalText;
+}
+
+module.exports = {
+  DESCRIPTION_SOURCES,
+  checkDescriptionSource,
+  selectDescription,
+};
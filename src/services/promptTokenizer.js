@@ -0,0 +1,314 @@
+// src/services/promptTokenizer.js
+"use strict";
+
+// A1111 emphasis multipliers: (x) = 1.1, [x] = 1/1.1. NovelAI's {x} = 1.05
+const ROUND_WEIGHT = 1.1;
+const SQUARE_WEIGHT = 1 / 1.1;
+const CURLY_WEIGHT = 1.05;
+
+const TRAILING_WEIGHT_PATTERN = /:\s*(-?\d+(?:\.\d+)?|-?\.\d+)\s*$/;
+const EXTRA_NETWORK_PATTERN =
+  /^(lora|lyco|hypernet):([^:>]+)(?::([^:>]*))?(?::[^>]*)?$/i;
+// ComfyUI "embedding:name" references, and the uppercase BREAK/AND keywords
+// that split a prompt into separate chunks
+const INLINE_TOKEN_PATTERN =
+  /\b[Ee]mbedding:([^\s,()[\]{}<>|]+)|\b(BREAK|AND)\b(?::\s*-?\d+(?:\.\d+)?)?/g;
+
+const CLOSERS = { "(": ")", "[": "]", "{": "}" };
+
+function roundWeight(weight) {
+  return Math.round(weight * 10000) / 10000;
+}
+
+/**
+ * Recursive-descent parser turning prompt text into a small syntax tree.
+ * Nodes: text, comma, emphasis, choice and network.
+ */
+class PromptParser {
+  constructor(text) {
+    this.text = text;
+    this.index = 0;
+  }
+
+  parse() {
+    return this.parseSequence([]);
+  }
+
+  parseSequence(terminators) {
+    const nodes = [];
+    let buffer = "";
+    const flushText = () => {
+      if (buffer) nodes.push({ type: "text", value: buffer });
+      buffer = "";
+    };
+
+    while (this.index < this.text.length) {
+      const char = this.text[this.index];
+
+      if (terminators.includes(char)) break;
+
+      if (char === "\\" && this.index + 1 < this.text.length) {
+        buffer += this.text[this.index + 1];
+        this.index += 2;
+        continue;
+      }
+
+      if (char === ",") {
+        flushText();
+        nodes.push({ type: "comma" });
+        this.index++;
+        continue;
+      }
+
+      if (char === "<") {
+        const close = this.text.indexOf(">", this.index);
+        const network =
+          close > -1 &&
+          this.text.slice(this.index + 1, close).match(EXTRA_NETWORK_PATTERN);
+        if (network) {
+          flushText();
+          const weight = parseFloat(network[3]);
+          nodes.push({
+            type: "network",
+            network: network[1].toLowerCase(),
+            name: network[2].trim(),
+            weight: Number.isNaN(weight) ? 1 : weight,
+          });
+          this.index = close + 1;
+          continue;
+        }
+      }
+
+      if (char in CLOSERS) {
+        flushText();
+        this.index++;
+        nodes.push(this.parseBracket(char));
+        continue;
+      }
+
+      buffer += char;
+      this.index++;
+    }
+
+    flushText();
+    return nodes;
+  }
+
+  parseBracket(opener) {
+    const closer = CLOSERS[opener];
+    const options = [];
+
+    // Collect "|"-separated options up to the closing bracket
+    for (;;) {
+      options.push(this.parseSequence([closer, "|"]));
+      if (this.text[this.index] === "|") {
+        this.index++;
+        continue;
+      }
+      if (this.text[this.index] === closer) this.index++;
+      break;
+    }
+
+    if (options.length > 1) {
+      return {
+        type: "choice",
+        kind: opener === "{" ? "wildcard" : "alternation",
+        options,
+      };
+    }
+
+    const children = options[0];
+
+    if (opener === "(") {
+      const explicit = this.takeTrailingWeight(children);
+      return {
+        type: "emphasis",
+        multiplier: explicit === null ? ROUND_WEIGHT : explicit,
+        explicit: explicit !== null,
+        children,
+      };
+    }
+
+    if (opener === "[") {
+      // [from:to:when] / [to:when] prompt editing
+      if (this.takeTrailingWeight(children) !== null) {
+        return {
+          type: "choice",
+          kind: "editing",
+          options: this.splitOnColon(children),
+        };
+      }
+      return { type: "emphasis", multiplier: SQUARE_WEIGHT, children };
+    }
+
+    return { type: "emphasis", multiplier: CURLY_WEIGHT, children };
+  }
+
+  // Removes a trailing ":1.3" from the last text node and returns the number
+  takeTrailingWeight(children) {
+    const last = children[children.length - 1];
+    if (!last || last.type !== "text") return null;
+    const match = last.value.match(TRAILING_WEIGHT_PATTERN);
+    if (!match) return null;
+    last.value = last.value.slice(0, match.index);
+    return parseFloat(match[1]);
+  }
+
+  splitOnColon(children) {
+    const index = children.findIndex(
+      (node) => node.type === "text" && node.value.includes(":")
+    );
+    if (index === -1) return [children];
+
+    const node = children[index];
+    const colon = node.value.indexOf(":");
+    const before = [
+      ...children.slice(0, index),
+      { type: "text", value: node.value.slice(0, colon) },
+    ];
+    const after = [
+      { type: "text", value: node.value.slice(colon + 1) },
+      ...children.slice(index + 1),
+    ];
+    return [before, after];
+  }
+}
+
+/**
+ * Flattens the syntax tree into tokens, tracking the effective weight of
+ * every run of text. A new term starts at every comma, separator, weight
+ * change and choice boundary.
+ */
+class TokenCollector {
+  constructor() {
+    this.tokens = [];
+    this.buffer = "";
+    this.bufferWeight = 1;
+    this.bufferGroup = null;
+    this.phrase = 0;
+    this.termIndex = 0;
+    this.groupCount = 0;
+  }
+
+  flush() {
+    const text = this.buffer.replace(/\s+/g, " ").trim();
+    if (text) {
+      const token = {
+        type: "term",
+        text,
+        weight: roundWeight(this.bufferWeight),
+        phrase: this.phrase,
+        index: this.termIndex++,
+      };
+      if (this.bufferGroup) token.group = this.bufferGroup;
+      this.tokens.push(token);
+    }
+    this.buffer = "";
+  }
+
+  appendText(value, weight, group) {
+    if (
+      this.buffer.trim() &&
+      (roundWeight(weight) !== roundWeight(this.bufferWeight) ||
+        group !== this.bufferGroup)
+    ) {
+      this.flush();
+    }
+    if (!this.buffer.trim()) {
+      this.bufferWeight = weight;
+      this.bufferGroup = group;
+    }
+    this.buffer += value;
+  }
+
+  addText(value, weight, group) {
+    let lastIndex = 0;
+    for (const match of value.matchAll(INLINE_TOKEN_PATTERN)) {
+      this.appendText(value.slice(lastIndex, match.index), weight, group);
+      this.flush();
+      if (match[1]) {
+        this.tokens.push({
+          type: "embedding",
+          name: match[1],
+          weight: roundWeight(weight),
+          phrase: this.phrase,
+        });
+      } else {
+        this.tokens.push({ type: "break", keyword: match[2] });
+        this.phrase++;
+      }
+      lastIndex = match.index + match[0].length;
+    }
+    this.appendText(value.slice(lastIndex), weight, group);
+  }
+
+  walk(nodes, weight, group) {
+    for (const node of nodes) {
+      switch (node.type) {
+        case "text":
+          this.addText(node.value, weight, group);
+          break;
+        case "comma":
+          this.flush();
+          this.phrase++;
+          break;
+        case "network":
+          this.flush();
+          this.tokens.push({
+            type: node.network === "hypernet" ? "hypernetwork" : "lora",
+            network: node.network,
+            name: node.name,
+            weight: roundWeight(node.weight),
+            phrase: this.phrase,
+          });
+          break;
+        case "emphasis":
+          this.walk(node.children, weight * node.multiplier, group);
+          break;
+        case "choice": {
+          this.flush();
+          const id = ++this.groupCount;
+          node.options.forEach((option, optionIndex) => {
+            this.walk(option, weight, {
+              id,
+              kind: node.kind,
+              option: optionIndex,
+              size: node.options.length,
+            });
+            this.flush();
+          });
+          break;
+        }
+        default:
+          break;
+      }
+    }
+  }
+}
+
+/**
+ * Tokenizes A1111/ComfyUI prompt syntax.
+ *
+ * Returns tokens of these shapes:
+ * - `{ type: "term", text, weight, phrase, index, group? }` — prompt text with
+ *   its effective weight; `group` is set for `[a|b]`, `{a|b}` and
+ *   `[from:to:when]` options
+ * - `{ type: "lora" | "hypernetwork", network, name, weight, phrase }`
+ * - `{ type: "embedding", name, weight, phrase }` (ComfyUI `embedding:name`)
+ * - `{ type: "break", keyword }` for BREAK and AND
+ *
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function tokenizePrompt(text) {
+  if (!text || typeof text !== "string") return [];
+
+  const collector = new TokenCollector();
+  collector.walk(new PromptParser(text).parse(), 1, null);
+  collector.flush();
+  return collector.tokens;
+}
+
+module.exports = {
+  tokenizePrompt,
+};
@@ -0,0 +1,272 @@
+// src/services/retagService.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const exifToolService = require("./exifToolService");
+const configService = require("./configService");
+const tempFileService = require("./tempFileService");
+const keywordStore = require("./keywordStore");
+const {
+  AUTO_KEYWORDS_TAG,
+  buildKeywordTags,
+  readKeywordTags,
+  KEYWORD_READ_TAGS,
+} = require("./keywordTags");
+const {
+  getMetadataMode,
+  getSidecarPath,
+  writeSidecar,
+} = require("./xmpSidecarService");
+const { isOutputImage } = require("./imageFormats");
+const { readImageMetadata } = require("./promptExtraction/metadataReader");
+const {
+  parseSettingsLine,
+} = require("./promptExtraction/parsers/a1111ParametersParser");
+const {
+  matchKeywordGroups,
+  mergeKeywordGroups,
+  createPromptExtractor,
+  getKeywordTagOptions,
+  WATERMARK_KEYWORD,
+} = require("../fileProcessor");
+const { logDebug, logError } = require("./logger");
+
+// Tags as buildKeywordTags names them, as readTags names them
+const READ_TAG_NAMES = { Keywords: "IPTC:Keywords" };
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * An extraction result rebuilt from the XMP-metaimager tags processFile
+ * wrote, for outputs whose source chunks were removed.
+ */
+function extractionFromTags(tags) {
+  const prompts = toList(tags["XMP-metaimager:Prompts"])
+    .filter((entry) => entry?.Text && entry.Type !== "negative")
+    .map((entry) => ({
+      entryKey: String(entry.EntryKey),
+      originalText: String(entry.Text),
+      type: "positive",
+    }));
+  if (prompts.length === 0) return null;
+
+  const settingsLine = tags["XMP-metaimager:GenerationParameters"];
+  const negativePrompt = tags["XMP-metaimager:NegativePrompt"];
+  return {
+    strategy: "xmp",
+    prompts,
+    negativePrompt: negativePrompt ? String(negativePrompt) : "",
+    settings: settingsLine ? parseSettingsLine(String(settingsLine)) : null,
+  };
+}
+
+// The generation data carried over from the source image, otherwise the
+// prompts stored in XMP-metaimager
+async function readPrompts(outputPath, metadataPath) {
+  const metadata = await readImageMetadata(outputPath);
+  if (metadata.comments.length > 0) {
+    const extractionResult = await createPromptExtractor().extractPrompts(
+      metadata
+    );
+    if (extractionResult) return extractionResult;
+  }
+
+  const tags = await exifToolService.readTags(metadataPath, [
+    "-struct",
+    "-XMP-metaimager:all",
+  ]);
+  return extractionFromTags(tags);
+}
+
+/**
+ * Whether a keyword already on the output came from the pipeline. Outputs
+ * written since AutoKeywords exists say so themselves; for older ones, a
+ * keyword counts when the current keyword rules or one of the pipeline's
+ * own categories could have produced it.
+ */
+function createPipelineCheck(tags) {
+  const recorded = toList(tags[AUTO_KEYWORDS_TAG]).map(String);
+  if (tags[AUTO_KEYWORDS_TAG] !== undefined) {
+    return (keyword) => recorded.includes(keyword);
+  }
+
+  const { separator = ":" } = configService.get("keywordHierarchy") || {};
+  const { excludedPrefix, qualifiedCategories } = getKeywordTagOptions();
+  const labels = new Set([
+    ...Object.values(keywordStore.getKeywordsMap()).flat(),
+    ...keywordStore.getRules().flatMap((rule) => rule.labels),
+  ]);
+  const categories = [excludedPrefix, ...qualifiedCategories]
+    .filter(Boolean)
+    .map((category) => category.toLowerCase());
+
+  return (keyword) =>
+    keyword === WATERMARK_KEYWORD ||
+    labels.has(keyword) ||
+    categories.includes(keyword.split(separator)[0].trim().toLowerCase());
+}
+
+// Each field gets the new keywords plus whatever it held that the pipeline
+// did not write, so keywords added in a photo manager stay put
+function buildRetagTags(tags, keywords, previousAuto) {
+  const options = getKeywordTagOptions();
+  const newTags = buildKeywordTags(keywords, options);
+  const oldTags = buildKeywordTags(previousAuto, options);
+
+  for (const [field, values] of Object.entries(newTags)) {
+    const manual = toList(tags[READ_TAG_NAMES[field] || field])
+      .map(String)
+      .filter((value) => !oldTags[field].includes(value))
+      .filter((value) => !values.includes(value));
+    newTags[field] = [...values, ...manual];
+  }
+  newTags[AUTO_KEYWORDS_TAG] = keywords;
+  return newTags;
+}
+
+async function writeKeywords(outputPath, metadataMode, tags) {
+  if (metadataMode !== "sidecar") {
+    await exifToolService.writeMetadata(outputPath, tags);
+    await tempFileService.cleanupOriginal(outputPath);
+  }
+  if (metadataMode !== "embed") {
+    // Replaced rather than merged, so keywords that no longer match go away;
+    // the manual ones are already part of the lists
+    await writeSidecar(outputPath, tags, { mergeLists: false });
+  }
+}
+
+/**
+ * Recomputes the keywords of an already processed output with the current
+ * keyword rules and rewrites the keyword tags only; the image data is left
+ * alone. Metadata is read from and written to where `metadata.mode` puts
+ * it. Only keywords the pipeline wrote are replaced and reported; ones
+ * added by hand are kept. The watermark keyword is kept when the output
+ * had it.
+ *
+ * @param {string} outputPath Processed image
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] Compute the diff without writing
+ * @returns {Promise<Object>} `{ file, status, ... }` where status is
+ *          "changed" or "unchanged" (with `added`, `removed` and the
+ *          matched `keywords`)
+ *          or "skipped" (with `reason`)
+ */
+async function retagFile(outputPath, options = {}) {
+  const { dryRun = false } = options;
+  const metadataMode = getMetadataMode(configService.get("metadata.mode"));
+  const metadataPath =
+    metadataMode === "sidecar" ? getSidecarPath(outputPath) : outputPath;
+
+  if (metadataPath !== outputPath && !(await exists(metadataPath))) {
+    return { file: outputPath, status: "skipped", reason: "no .xmp sidecar" };
+  }
+
+  const extractionResult = await readPrompts(outputPath, metadataPath);
+  if (!extractionResult) {
+    return { file: outputPath, status: "skipped", reason: "no prompt data" };
+  }
+
+  const tags = await exifToolService.readTags(metadataPath, [
+    ...KEYWORD_READ_TAGS.map((tagName) => `-${tagName}`),
+    `-${AUTO_KEYWORDS_TAG}`,
+  ]);
+  const previous =
+    readKeywordTags(tags, configService.get("keywordHierarchy")) || [];
+  const previousAuto = previous.filter(createPipelineCheck(tags));
+  const keywords = mergeKeywordGroups(matchKeywordGroups(extractionResult));
+  if (
+    previousAuto.includes(WATERMARK_KEYWORD) &&
+    !keywords.includes(WATERMARK_KEYWORD)
+  ) {
+    keywords.push(WATERMARK_KEYWORD);
+  }
+
+  const added = keywords.filter((keyword) => !previous.includes(keyword));
+  const removed = previousAuto.filter((keyword) => !keywords.includes(keyword));
+  const changed = added.length > 0 || removed.length > 0;
+
+  if (changed && !dryRun) {
+    await writeKeywords(
+      outputPath,
+      metadataMode,
+      buildRetagTags(tags, keywords, previousAuto)
+    );
+  }
+  logDebug("Retag", `${changed ? "Changed" : "Unchanged"}: ${outputPath}`, {
+    strategy: extractionResult.strategy,
+    added,
+    removed,
+    dryRun,
+  });
+
+  return {
+    file: outputPath,
+    status: changed ? "changed" : "unchanged",
+    strategy: extractionResult.strategy,
+    added,
+    removed,
+    keywords,
+  };
+}
+
+async function findImages(directory) {
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findImages(entryPath)));
+    } else if (entry.isFile() && isOutputImage(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Retags every image under a directory, subfolders included, one at a
+ * time. A file that fails is reported with status "error" and the rest
+ * carry on.
+ *
+ * @param {string} directory Usually OUTPUT_DIR
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @param {Function} [options.onResult] Called with each file's result
+ * @returns {Promise<Array<Object>>} Results as returned by retagFile
+ */
+async function retagDirectory(directory, options = {}) {
+  const { onResult = () => {} } = options;
+  const results = [];
+
+  for (const filePath of await findImages(directory)) {
+    let result;
+    try {
+      result = await retagFile(filePath, options);
+    } catch (error) {
+      logError("Retag", error, { filePath });
+      result = { file: filePath, status: "error", reason: error.message };
+    }
+    results.push(result);
+    onResult(result);
+  }
+  return results;
+}
+
+module.exports = {
+  retagFile,
+  retagDirectory,
+};
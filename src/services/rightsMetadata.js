@@ -0,0 +1,82 @@
+// src/services/rightsMetadata.js
+"use strict";
+
+const { renderTemplate } = require("./metadataTemplates");
+
+const DIGITAL_SOURCE_TYPE_BASE =
+  "http://cv.iptc.org/newscodes/digitalsourcetype/";
+const DIGITAL_SOURCE_TYPES = [
+  "trainedAlgorithmicMedia",
+  "compositeWithTrainedAlgorithmicMedia",
+];
+
+// `rights` config field -> IPTC Core/Extension tags, plus the legacy IPTC
+// IIM and EXIF tags that older tools still read
+const RIGHTS_FIELDS = {
+  creator: ["XMP-dc:Creator", "IPTC:By-line", "IFD0:Artist"],
+  copyrightNotice: ["XMP-dc:Rights", "IPTC:CopyrightNotice", "IFD0:Copyright"],
+  creditLine: ["XMP-photoshop:Credit", "IPTC:Credit"],
+  usageTerms: ["XMP-xmpRights:UsageTerms"],
+  webStatement: ["XMP-xmpRights:WebStatement"],
+};
+
+/**
+ * "auto" treats images the extraction strategy reports as made from a
+ * source image (img2img, inpainting) as composites, and everything else,
+ * including generators that don't say, as fully generated.
+ */
+function resolveDigitalSourceType(setting, settings) {
+  const type = setting || "auto";
+  if (type === "auto") {
+    return DIGITAL_SOURCE_TYPES[settings?.fromSourceImage === true ? 1 : 0];
+  }
+  if (!DIGITAL_SOURCE_TYPES.includes(type)) {
+    throw new Error(
+      `Unsupported digitalSourceType "${type}". Use "auto" or one of: ${DIGITAL_SOURCE_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+  return type;
+}
+
+/**
+ * IPTC AI-disclosure and rights tags from the `rights` config. Each field
+ * is a template over the values from buildTemplateValues and the fields
+ * listed before it; fields that render empty are left out.
+ *
+ * @param {Object} rights `rights` section of the config
+ * @param {Object<string, string>} values Template values for the image
+ * @param {Object|null} settings Generation settings
+ * @returns {Object} Tags ready for exifToolService.writeMetadata
+ */
+function buildRightsTags(rights = {}, values, settings) {
+  if (rights.enabled === false) return {};
+
+  const tags = {
+    "XMP-iptcExt:DigitalSourceType": `${DIGITAL_SOURCE_TYPE_BASE}${resolveDigitalSourceType(
+      rights.digitalSourceType,
+      settings
+    )}`,
+  };
+
+  // Fields can use the ones before them, e.g. "© {{year}} {{creator}}"
+  const fieldValues = { ...values };
+  for (const [field, tagNames] of Object.entries(RIGHTS_FIELDS)) {
+    const value = rights[field]
+      ? renderTemplate(rights[field], fieldValues)
+      : "";
+    fieldValues[field] = value;
+    if (!value) continue;
+    tagNames.forEach((tagName) => {
+      tags[tagName] = value;
+    });
+  }
+
+  return tags;
+}
+
+module.exports = {
+  resolveDigitalSourceType,
+  buildRightsTags,
+};
@@ -0,0 +1,130 @@
+// src/services/sourceChunkService.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const configService = require("./configService");
+const { rewriteTextChunks } = require("./pngChunks");
+const { logDebug, logInfo } = require("./logger");
+
+const ACTIONS = ["copy", "remove", "sidecar"];
+
+// Written by exiftool along with the rest of the metadata
+const RESERVED_KEYWORDS = ["XML:com.adobe.xmp"];
+
+// Where the generators put these chunks in JPEG/WebP files; the same places
+// metadataReader reads them from, also used for AVIF
+const EXIF_CHUNK_TAGS = {
+  parameters: { tag: "ExifIFD:UserComment" },
+  prompt: { tag: "IFD0:Model", prefix: "prompt:" },
+  workflow: { tag: "IFD0:Make", prefix: "workflow:" },
+};
+
+/**
+ * The action a `sourceChunks` policy sets for a chunk keyword: its own
+ * entry, otherwise `default`.
+ */
+function resolveChunkAction(policy, keyword) {
+  const action = policy[keyword] || policy.default || "copy";
+  if (!ACTIONS.includes(action)) {
+    throw new Error(
+      `Unsupported action "${action}" for source chunk "${keyword}". Use one of: ${ACTIONS.join(
+        ", "
+      )}`
+    );
+  }
+  return action;
+}
+
+function getChunkAction(keyword) {
+  return resolveChunkAction(configService.get("sourceChunks") || {}, keyword);
+}
+
+function getSidecarPath(outputPath, keyword, text) {
+  const base = outputPath.slice(0, -path.extname(outputPath).length);
+  const safeKeyword = keyword.replace(/[^\w.-]+/g, "_");
+  let extension = ".txt";
+  try {
+    JSON.parse(text);
+    extension = ".json";
+  } catch {
+    // Plain text, e.g. A1111 parameters
+  }
+  return `${base}.${safeKeyword}${extension}`;
+}
+
+/**
+ * Carries the source image's text chunks (parameters, prompt, workflow...)
+ * over to the finished output according to `sourceChunks` in config.json.
+ *
+ * PNG outputs get the chunks rewritten in place, so this runs once the
+ * output is encoded. For JPEG/WebP/AVIF outputs the chunks that have an
+ * EXIF home are returned as tags for the exiftool write; the rest can only
+ * go to a sidecar.
+ *
+ * @param {string} outputPath Finished output file
+ * @param {string} outputFormat "png", "jpeg", "webp" or "avif"
+ * @param {Array<{keyword: string, text: string}>} comments Source chunks
+ * @returns {Promise<Object>} EXIF tags to merge into the metadata write
+ */
+async function applySourceChunks(outputPath, outputFormat, comments = []) {
+  const chunks = comments.filter(
+    (comment) => !RESERVED_KEYWORDS.includes(comment.keyword)
+  );
+  const copied = [];
+  const removed = [];
+  const tags = {};
+
+  for (const chunk of chunks) {
+    const action = getChunkAction(chunk.keyword);
+
+    if (action === "sidecar") {
+      const sidecarPath = getSidecarPath(outputPath, chunk.keyword, chunk.text);
+      await fs.writeFile(sidecarPath, chunk.text, "utf8");
+      logInfo("SourceChunks", `Moved ${chunk.keyword} chunk to sidecar`, {
+        sidecar: sidecarPath,
+      });
+    }
+
+    if (action === "copy") {
+      copied.push(chunk);
+    } else {
+      removed.push(chunk.keyword);
+    }
+  }
+
+  if (outputFormat === "png") {
+    await rewriteTextChunks(outputPath, { remove: removed, add: copied });
+  } else {
+    for (const chunk of chunks) {
+      const exifTag = EXIF_CHUNK_TAGS[chunk.keyword];
+      if (!exifTag) {
+        if (copied.includes(chunk)) {
+          logDebug(
+            "SourceChunks",
+            `No ${outputFormat} location for ${chunk.keyword} chunk, use "sidecar" to keep it`
+          );
+        }
+        continue;
+      }
+      // null deletes the tag sharp may have carried over from the source
+      tags[exifTag.tag] = copied.includes(chunk)
+        ? `${exifTag.prefix || ""}${chunk.text}`
+        : null;
+    }
+  }
+
+  logDebug("SourceChunks", "Applied source chunk policy", {
+    output: path.basename(outputPath),
+    copied: copied.map((chunk) => chunk.keyword),
+    removed,
+  });
+
+  return tags;
+}
+
+module.exports = {
+  applySourceChunks,
+  resolveChunkAction,
+  getChunkAction,
+};
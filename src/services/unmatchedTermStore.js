@@ -0,0 +1,252 @@
+// src/services/unmatchedTermStore.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const configService = require("./configService");
+const { logError, logDebug } = require("./logger");
+
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * Persistent frequency table of prompt terms that matched no keyword, kept
+ * in `discovery.file` so frequent gaps in the keyword rules can be found.
+ *
+ * Only the counts recorded since the last save are held in memory; saving
+ * adds them to what is in the file at that moment. That way the server and
+ * `cli.js unmatched --clear` can share the file without one undoing the
+ * other.
+ */
+class UnmatchedTermStore {
+  constructor() {
+    this.pending = {};
+    this.saveTimer = null;
+    this.savePromise = null;
+  }
+
+  getFilePath() {
+    return path.resolve(
+      process.cwd(),
+      configService.get("discovery.file") || "data/unmatched-terms.json"
+    );
+  }
+
+  async readFile() {
+    try {
+      const content = await fs.readFile(this.getFilePath(), "utf8");
+      return JSON.parse(content).terms || {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logError("UnmatchedTerms", error, { context: "loading term table" });
+      }
+      return {};
+    }
+  }
+
+  // Adds the entries of `additions` to `terms`, newest examples first
+  mergeTerms(terms, additions) {
+    const maxExamples = configService.get("discovery.maxExamples") || 5;
+    const merged = { ...terms };
+    for (const [term, added] of Object.entries(additions)) {
+      const entry = merged[term];
+      merged[term] = entry
+        ? {
+            count: entry.count + added.count,
+            firstSeen:
+              entry.firstSeen < added.firstSeen
+                ? entry.firstSeen
+                : added.firstSeen,
+            lastSeen:
+              entry.lastSeen > added.lastSeen ? entry.lastSeen : added.lastSeen,
+            examples: [
+              ...new Set([...added.examples, ...entry.examples]),
+            ].slice(0, maxExamples),
+          }
+        : added;
+    }
+    return merged;
+  }
+
+  // The saved table plus the counts not saved yet
+  async load() {
+    return this.mergeTerms(await this.readFile(), this.pending);
+  }
+
+  // Long sentences and numbers aren't useful keyword candidates
+  isCandidate(term) {
+    const maxWords = configService.get("discovery.maxWords") || 4;
+    return (
+      term.length > 1 &&
+      !/^[\d\s.,:x-]+$/.test(term) &&
+      term.split(" ").length <= maxWords
+    );
+  }
+
+  /**
+   * Counts each term once for the given file and schedules a save.
+   *
+   * @param {string[]} terms Unmatched prompt phrases
+   * @param {string} filename Example file the terms came from
+   */
+  async record(terms, filename) {
+    const candidates = [...new Set(terms)].filter((term) =>
+      this.isCandidate(term)
+    );
+    if (candidates.length === 0) return;
+
+    const maxExamples = configService.get("discovery.maxExamples") || 5;
+    const now = new Date().toISOString();
+
+    for (const term of candidates) {
+      const entry = this.pending[term] || {
+        count: 0,
+        firstSeen: now,
+        examples: [],
+      };
+      entry.count++;
+      entry.lastSeen = now;
+      if (!entry.examples.includes(filename)) {
+        entry.examples = [filename, ...entry.examples].slice(0, maxExamples);
+      }
+      this.pending[term] = entry;
+    }
+
+    logDebug("UnmatchedTerms", `Recorded ${candidates.length} terms`, {
+      filename,
+    });
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  // Runs file updates one after another so a slow one can't overwrite a
+  // newer one
+  queueWrite(update) {
+    // A failed clear() was reported to its caller already
+    this.savePromise = (this.savePromise || Promise.resolve())
+      .catch(() => {})
+      .then(update);
+    return this.savePromise;
+  }
+
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    return this.queueWrite(async () => {
+      const pending = this.pending;
+      if (Object.keys(pending).length === 0) return;
+      this.pending = {};
+
+      const filePath = this.getFilePath();
+      try {
+        const terms = this.mergeTerms(await this.readFile(), pending);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(
+          filePath,
+          JSON.stringify({ terms }, null, 2),
+          "utf8"
+        );
+      } catch (error) {
+        // Kept for the next save
+        this.pending = this.mergeTerms(pending, this.pending);
+        logError("UnmatchedTerms", error, { context: "saving term table" });
+      }
+    });
+  }
+
+  // Writes any pending changes; called on shutdown
+  async flush() {
+    if (this.saveTimer) await this.save();
+    await this.savePromise;
+  }
+
+  /**
+   * Most frequent unmatched terms. Terms the current rules now match are
+   * left out when a matcher is given.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.minCount=1]
+   * @param {Object} [options.matcher] KeywordMatcher to re-check terms with
+   * @returns {Promise<Array<Object>>} { term, count, firstSeen, lastSeen, examples }
+   */
+  async getTopTerms({ limit = 50, minCount = 1, matcher = null } = {}) {
+    const terms = await this.load();
+    return Object.entries(terms)
+      .filter(([, entry]) => entry.count >= minCount)
+      .filter(
+        ([term]) => !matcher || matcher.findUnmatchedTerms(term).length > 0
+      )
+      .sort(([, a], [, b]) => b.count - a.count)
+      .slice(0, limit)
+      .map(([term, entry]) => ({ term, ...entry }));
+  }
+
+  /**
+   * Empties the table, counts not saved yet included. Safe to call while
+   * another process records terms into the same file.
+   */
+  async clear() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.pending = {};
+
+    const filePath = this.getFilePath();
+    return this.queueWrite(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(
+        filePath,
+        JSON.stringify({ terms: {} }, null, 2),
+        "utf8"
+      );
+    });
+  }
+
+  /**
+   * Formats terms as a keyword file for review. Labels are placeholders under
+   * an "Uncategorized" category.
+   *
+   * @param {Array<Object>} terms From getTopTerms
+   * @param {string} [format="yaml"] "yaml" or "json"
+   * @returns {string}
+   */
+  exportSuggestions(terms, format = "yaml") {
+    const suggestedLabel = (term) =>
+      `Uncategorized: ${term.replace(/\b\w/g, (char) => char.toUpperCase())}`;
+
+    if (format === "json") {
+      const keywords = Object.fromEntries(
+        terms.map(({ term }) => [term, suggestedLabel(term)])
+      );
+      return `${JSON.stringify({ keywords }, null, 2)}\n`;
+    }
+    if (format !== "yaml") {
+      throw new Error(
+        `Unsupported export format "${format}". Use yaml or json`
+      );
+    }
+
+    // JSON strings are valid YAML scalars, so quoting is always safe
+    const lines = terms.map(
+      ({ term, count }) =>
+        `  ${JSON.stringify(term)}: ${JSON.stringify(
+          suggestedLabel(term)
+        )} # ${count}x`
+    );
+    return [
+      "# Suggested from unmatched prompt terms; review the labels before use",
+      "keywords:",
+      ...lines,
+      "",
+    ].join("\n");
+  }
+}
+
+// Create and export a singleton instance
+const unmatchedTermStore = new UnmatchedTermStore();
+
+module.exports = unmatchedTermStore;
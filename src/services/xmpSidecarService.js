@@ -0,0 +1,146 @@
+// src/services/xmpSidecarService.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const exifToolService = require("./exifToolService");
+const { AUTO_KEYWORDS_TAG, buildKeywordTags } = require("./keywordTags");
+const { logDebug, logInfo } = require("./logger");
+
+const METADATA_MODES = ["embed", "sidecar", "both"];
+
+// Written by this tool only, so always replaced rather than merged
+const OWN_GROUP = "XMP-metaimager:";
+
+// Unqualified tags from the embedded write and their XMP equivalents; tags
+// without one (IPTC Keywords, EXIF ImageDescription...) are covered by the
+// XMP tags written alongside them
+const XMP_EQUIVALENTS = {
+  Description: "XMP-dc:Description",
+};
+
+/**
+ * `metadata.mode`: "embed" writes tags into the image, "sidecar" into an
+ * .xmp file next to it, "both" does both.
+ */
+function getMetadataMode(mode) {
+  const resolved = mode || "embed";
+  if (!METADATA_MODES.includes(resolved)) {
+    throw new Error(
+      `Unsupported metadata mode "${resolved}". Use one of: ${METADATA_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  return resolved;
+}
+
+// "image.png" -> "image.xmp", the name Lightroom, Bridge and digiKam look for
+function getSidecarPath(outputPath) {
+  const extension = path.extname(outputPath);
+  const base = extension ? outputPath.slice(0, -extension.length) : outputPath;
+  return `${base}.xmp`;
+}
+
+function toSidecarTags(tags) {
+  const sidecarTags = {};
+  for (const [tag, value] of Object.entries(tags)) {
+    const xmpTag = tag.startsWith("XMP-") ? tag : XMP_EQUIVALENTS[tag];
+    if (xmpTag && !(xmpTag in sidecarTags)) {
+      sidecarTags[xmpTag] = value;
+    }
+  }
+  return sidecarTags;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toList(value) {
+  if (value === undefined) return [];
+  // A single-entry list reads back as a plain value
+  return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Keyword-style lists are merged with what the sidecar already has, so
+ * keywords added in a photo manager survive re-processing. Entries the
+ * previous run wrote for its AutoKeywords are dropped first, so keywords
+ * that no longer match go away. The XMP-metaimager tags and other tags are
+ * replaced, and tags this write doesn't touch are left alone.
+ */
+async function mergeWithExisting(sidecarPath, tags, keywordTagOptions) {
+  const existing = await exifToolService.readTags(sidecarPath, ["-XMP:all"]);
+  const merged = { ...tags };
+  const staleTags = keywordTagOptions
+    ? buildKeywordTags(toList(existing[AUTO_KEYWORDS_TAG]), keywordTagOptions)
+    : {};
+
+  for (const [tag, value] of Object.entries(tags)) {
+    const isStringList =
+      Array.isArray(value) && value.every((item) => typeof item === "string");
+    if (
+      !isStringList ||
+      tag.startsWith(OWN_GROUP) ||
+      existing[tag] === undefined
+    ) {
+      continue;
+    }
+
+    const stale = staleTags[tag] || [];
+    const previous = toList(existing[tag]).filter(
+      (item) => !stale.includes(item)
+    );
+    merged[tag] = [...new Set([...previous, ...value])];
+  }
+  return merged;
+}
+
+/**
+ * Writes the XMP part of the metadata to `<output base>.xmp`, merging into
+ * an existing sidecar.
+ *
+ * @param {string} outputPath The image the sidecar belongs to
+ * @param {Object} tags Tags as passed to exifToolService.writeMetadata
+ * @param {Object} [options]
+ * @param {boolean} [options.mergeLists=true] Merge list tags with the
+ *        existing sidecar's instead of replacing them
+ * @param {Object} [options.keywordTagOptions] buildKeywordTags options the
+ *        keyword fields were built with, to find the previous run's entries
+ * @returns {Promise<string>} The sidecar path
+ */
+async function writeSidecar(outputPath, tags, options = {}) {
+  const { mergeLists = true, keywordTagOptions } = options;
+  const sidecarPath = getSidecarPath(outputPath);
+  let sidecarTags = toSidecarTags(tags);
+
+  const update = await exists(sidecarPath);
+  if (update && mergeLists) {
+    sidecarTags = await mergeWithExisting(
+      sidecarPath,
+      sidecarTags,
+      keywordTagOptions
+    );
+  }
+
+  // exiftool creates the .xmp when it doesn't exist yet
+  await exifToolService.writeMetadata(sidecarPath, sidecarTags);
+  logInfo(
+    "XmpSidecar",
+    `${update ? "Updated" : "Wrote"} ${path.basename(sidecarPath)}`
+  );
+  logDebug("XmpSidecar", "Sidecar tags", { sidecarPath, tags: sidecarTags });
+  return sidecarPath;
+}
+
+module.exports = {
+  getMetadataMode,
+  getSidecarPath,
+  writeSidecar,
+};